@@ -0,0 +1,336 @@
+// Security rules tests. These need the Firestore emulator; run them with
+// `npm run test:rules`, which starts it through the Firebase CLI.
+const fs = require("fs");
+const path = require("path");
+const firebase = require("firebase/compat/app");
+require("firebase/compat/firestore");
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require("@firebase/rules-unit-testing");
+
+const QUEUES = ["entries", "webite_purchase", "delivery_queue"];
+const TELLER = ["data_approve_teller_transaction", "teller-response-calls"];
+
+let testEnv;
+
+const as = (uid) =>
+  uid ? testEnv.authenticatedContext(uid).firestore() : testEnv.unauthenticatedContext().firestore();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-dashboard",
+    firestore: {
+      rules: fs.readFileSync(path.join(__dirname, "..", "firestore.rules"), "utf8"),
+    },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (ctx) => {
+    const db = ctx.firestore();
+    await db.doc("users/viewer").set({ role: "viewer" });
+    await db.doc("users/exporter").set({ role: "exporter" });
+    await db.doc("users/admin").set({ role: "admin" });
+    await db.doc("export_batches/b1").set({ operator: { uid: "exporter" }, rowCount: 1 });
+    await db
+      .doc("export_batches/inflight")
+      .set({ operator: { uid: "exporter" }, rowCount: 1, status: "exporting" });
+    for (const name of QUEUES) {
+      await db.doc(`${name}/pending`).set({ exported: false, amount: 5 });
+      await db.doc(`${name}/done`).set({ exported: true, amount: 5 });
+    }
+    for (const name of TELLER) {
+      await db.doc(`${name}/pending`).set({ status: "approved", exported: false });
+    }
+  });
+});
+
+describe("users", () => {
+  test("an operator can read their own profile but not someone else's", async () => {
+    await assertSucceeds(as("viewer").doc("users/viewer").get());
+    await assertFails(as("viewer").doc("users/exporter").get());
+  });
+
+  test("only admins can assign roles", async () => {
+    await assertFails(as("exporter").doc("users/exporter").update({ role: "admin" }));
+    await assertSucceeds(as("admin").doc("users/viewer").update({ role: "exporter" }));
+  });
+});
+
+describe.each(QUEUES)("%s", (name) => {
+  test("signed-out users and users without a profile cannot read", async () => {
+    await assertFails(as(null).doc(`${name}/pending`).get());
+    await assertFails(as("stranger").doc(`${name}/pending`).get());
+  });
+
+  test("viewers can read but not export", async () => {
+    await assertSucceeds(as("viewer").doc(`${name}/pending`).get());
+    await assertFails(
+      as("viewer").doc(`${name}/pending`).update({ exported: true, exportBatchId: "b1" })
+    );
+  });
+
+  test("exporters can mark records exported and nothing else", async () => {
+    await assertSucceeds(
+      as("exporter").doc(`${name}/pending`).update({ exported: true, exportBatchId: "b1" })
+    );
+    await assertFails(as("exporter").doc(`${name}/done`).update({ exported: false }));
+    await assertFails(as("exporter").doc(`${name}/pending`).update({ amount: 0 }));
+  });
+
+  test("exporters can lease records to a batch and release them again", async () => {
+    const ref = as("exporter").doc(`${name}/pending`);
+    await assertSucceeds(ref.update({ exportState: "exporting", exportBatchId: "inflight" }));
+    await assertSucceeds(
+      ref.update({
+        exportState: "pending",
+        exportBatchId: firebase.firestore.FieldValue.delete(),
+      })
+    );
+  });
+
+  test("exports must point at an existing ledger entry", async () => {
+    await assertFails(
+      as("exporter").doc(`${name}/pending`).update({ exported: true, exportBatchId: "missing" })
+    );
+  });
+
+  test("exporters can hold or dismiss a duplicate in their own name", async () => {
+    const review = (status, uid) => ({ duplicateCheck: { status, by: { uid } } });
+    await assertSucceeds(as("exporter").doc(`${name}/pending`).update(review("held", "exporter")));
+    await assertSucceeds(
+      as("exporter").doc(`${name}/pending`).update(review("dismissed", "exporter"))
+    );
+    await assertFails(as("exporter").doc(`${name}/pending`).update(review("held", "admin")));
+    await assertFails(as("exporter").doc(`${name}/pending`).update(review("deleted", "exporter")));
+    await assertFails(as("viewer").doc(`${name}/pending`).update(review("held", "viewer")));
+  });
+
+  test("admins can reopen exported records", async () => {
+    await assertSucceeds(as("admin").doc(`${name}/done`).update({ exported: false }));
+  });
+
+  test("nobody can create or delete queue records from the dashboard", async () => {
+    await assertFails(as("admin").doc(`${name}/new`).set({ exported: false }));
+    await assertFails(as("admin").doc(`${name}/pending`).delete());
+  });
+});
+
+describe.each([["entries", "networkProvider"]])("%s network corrections", (name, field) => {
+  const correction = (uid) => ({
+    [field]: "MTN",
+    networkCorrection: { from: "Telecel", by: { uid } },
+  });
+
+  test("exporters can correct the declared network in their own name", async () => {
+    await assertSucceeds(as("exporter").doc(`${name}/pending`).update(correction("exporter")));
+    await assertFails(as("exporter").doc(`${name}/pending`).update(correction("admin")));
+  });
+
+  test("viewers cannot correct networks", async () => {
+    await assertFails(as("viewer").doc(`${name}/pending`).update(correction("viewer")));
+  });
+
+  test("a correction cannot touch other fields", async () => {
+    await assertFails(
+      as("exporter")
+        .doc(`${name}/pending`)
+        .update({ ...correction("exporter"), amount: 0 })
+    );
+  });
+});
+
+test("USSD records declare no network to correct", async () => {
+  await assertFails(
+    as("exporter")
+      .doc("delivery_queue/pending")
+      .update({ network: "MTN", networkCorrection: { from: "Telecel", by: { uid: "exporter" } } })
+  );
+});
+
+describe.each(["webite_purchase", "delivery_queue", ...TELLER])("%s price approvals", (name) => {
+  const approval = (uid) => ({ priceApproval: { problem: "zero", amount: 0, by: { uid } } });
+
+  test("exporters can approve a price in their own name", async () => {
+    await assertSucceeds(as("exporter").doc(`${name}/pending`).update(approval("exporter")));
+    await assertFails(as("exporter").doc(`${name}/pending`).update(approval("admin")));
+    await assertFails(as("viewer").doc(`${name}/pending`).update(approval("viewer")));
+  });
+
+  test("an approval cannot change the amount", async () => {
+    await assertFails(
+      as("exporter")
+        .doc(`${name}/pending`)
+        .update({ ...approval("exporter"), amount: 25 })
+    );
+  });
+});
+
+describe("export_batches", () => {
+  test("exporters can record batches in their own name only", async () => {
+    await assertSucceeds(
+      as("exporter").doc("export_batches/b2").set({ operator: { uid: "exporter" }, rowCount: 1 })
+    );
+    await assertFails(
+      as("exporter").doc("export_batches/b3").set({ operator: { uid: "admin" }, rowCount: 1 })
+    );
+    await assertFails(
+      as("viewer").doc("export_batches/b4").set({ operator: { uid: "viewer" }, rowCount: 1 })
+    );
+  });
+
+  test("the ledger cannot be rewritten", async () => {
+    await assertSucceeds(as("viewer").doc("export_batches/b1").get());
+    await assertFails(as("admin").doc("export_batches/b1").update({ rowCount: 0 }));
+    await assertFails(as("admin").doc("export_batches/b1").delete());
+  });
+
+  test("exporters can finish or release a batch only while it is in flight", async () => {
+    await assertSucceeds(
+      as("exporter").doc("export_batches/inflight").update({ status: "exported" })
+    );
+    await assertFails(as("exporter").doc("export_batches/inflight").update({ status: "released" }));
+    await assertFails(as("exporter").doc("export_batches/b1").update({ status: "released" }));
+  });
+
+  test("exporters can renew the lease of a batch in flight", async () => {
+    const lease = { leaseExpiresAt: firebase.firestore.Timestamp.now() };
+    await assertSucceeds(as("exporter").doc("export_batches/inflight").update(lease));
+    await assertFails(as("exporter").doc("export_batches/b1").update(lease));
+  });
+
+  test("only admins can reopen a batch, and only once", async () => {
+    const reopened = { reopened: { by: { uid: "admin" }, recordCount: 1 } };
+    await assertFails(
+      as("exporter").doc("export_batches/b1").update({ reopened: { by: { uid: "exporter" } } })
+    );
+    await assertSucceeds(as("admin").doc("export_batches/b1").update(reopened));
+    await assertFails(as("admin").doc("export_batches/b1").update(reopened));
+  });
+
+  test("the operator saves a batch's rows while it is in flight, and only then", async () => {
+    const part = { index: 0, recordIds: ["r1"], rows: [{ Number: "0241234567", GB: 5 }] };
+    await assertSucceeds(as("exporter").doc("export_batches/inflight/rows/0").set(part));
+    await assertFails(as("admin").doc("export_batches/inflight/rows/1").set(part));
+    await assertFails(as("exporter").doc("export_batches/b1/rows/0").set(part));
+    await assertSucceeds(as("viewer").doc("export_batches/inflight/rows/0").get());
+    await assertFails(as("exporter").doc("export_batches/inflight/rows/0").set(part));
+  });
+});
+
+describe("export_locks", () => {
+  const lock = (uid, minutes) => ({
+    operator: { uid },
+    token: "t",
+    expiresAt: firebase.firestore.Timestamp.fromMillis(Date.now() + minutes * 60 * 1000),
+  });
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (ctx) => {
+      await ctx.firestore().doc("export_locks/entries").set(lock("exporter", 10));
+      await ctx.firestore().doc("export_locks/delivery_queue").set(lock("exporter", -1));
+    });
+  });
+
+  test("a live lock cannot be taken over or removed by another operator", async () => {
+    await assertSucceeds(as("viewer").doc("export_locks/entries").get());
+    await assertFails(as("admin").doc("export_locks/entries").set(lock("admin", 10)));
+    await assertFails(as("admin").doc("export_locks/entries").delete());
+    await assertSucceeds(as("exporter").doc("export_locks/entries").delete());
+  });
+
+  test("the holder can renew a live lock, nobody else can", async () => {
+    await assertSucceeds(as("exporter").doc("export_locks/entries").set(lock("exporter", 20)));
+    await assertFails(as("admin").doc("export_locks/entries").update(lock("admin", 20)));
+  });
+
+  test("an expired lock can be taken over", async () => {
+    await assertSucceeds(as("admin").doc("export_locks/delivery_queue").set(lock("admin", 10)));
+  });
+
+  test("viewers cannot lock", async () => {
+    await assertFails(as("viewer").doc("export_locks/webite_purchase").set(lock("viewer", 10)));
+  });
+});
+
+describe("audit_log", () => {
+  test("entries are written in the operator's own name and read by admins", async () => {
+    await assertSucceeds(
+      as("admin").doc("audit_log/a1").set({ action: "reopen_batch", operator: { uid: "admin" } })
+    );
+    await assertFails(
+      as("exporter").doc("audit_log/a2").set({ action: "reopen_batch", operator: { uid: "admin" } })
+    );
+    await assertFails(as("exporter").doc("audit_log/a1").get());
+    await assertSucceeds(as("admin").doc("audit_log/a1").get());
+    await assertFails(as("admin").doc("audit_log/a1").delete());
+  });
+});
+
+describe("settings", () => {
+  test("viewers can read settings but only admins can change them", async () => {
+    await assertSucceeds(as("viewer").doc("settings/export").get());
+    await assertFails(as("exporter").doc("settings/export").set({ pageSize: 6 }));
+    await assertSucceeds(as("admin").doc("settings/export").set({ pageSize: 6 }));
+  });
+});
+
+describe("export_templates", () => {
+  test("viewers can read templates but only admins can edit them", async () => {
+    await assertSucceeds(as("viewer").doc("export_templates/t1").get());
+    await assertFails(as("exporter").doc("export_templates/t1").set({ name: "MTN" }));
+    await assertSucceeds(as("admin").doc("export_templates/t1").set({ name: "MTN" }));
+    await assertSucceeds(as("admin").doc("export_templates/t1").delete());
+  });
+});
+
+describe("bundle_catalog", () => {
+  test("viewers can read the catalog but only admins can edit it", async () => {
+    await assertSucceeds(as("viewer").doc("bundle_catalog/b1").get());
+    await assertFails(as("exporter").doc("bundle_catalog/b1").set({ sizeMb: 5120 }));
+    await assertSucceeds(as("admin").doc("bundle_catalog/b1").set({ sizeMb: 5120 }));
+    await assertSucceeds(as("admin").doc("bundle_catalog/b1").delete());
+  });
+});
+
+describe("reconciliation_resolutions", () => {
+  test("exporters can resolve an item in their own name, once", async () => {
+    const ref = (uid) => as(uid).doc("reconciliation_resolutions/ref%3AT1");
+    await assertFails(ref("viewer").set({ note: "refunded", resolvedBy: { uid: "viewer" } }));
+    await assertFails(ref("exporter").set({ note: "refunded", resolvedBy: { uid: "admin" } }));
+    await assertSucceeds(ref("exporter").set({ note: "refunded", resolvedBy: { uid: "exporter" } }));
+    await assertFails(ref("exporter").update({ note: "changed" }));
+    await assertSucceeds(ref("viewer").get());
+  });
+});
+
+describe.each(TELLER)("%s", (name) => {
+  test("exporters can mark approved payments exported and nothing else", async () => {
+    await assertSucceeds(as("viewer").doc(`${name}/pending`).get());
+    await assertFails(
+      as("viewer").doc(`${name}/pending`).update({ exported: true, exportBatchId: "b1" })
+    );
+    await assertSucceeds(
+      as("exporter").doc(`${name}/pending`).update({ exported: true, exportBatchId: "b1" })
+    );
+    await assertFails(as("exporter").doc(`${name}/pending`).update({ status: "declined" }));
+  });
+
+  test("exporters can hold a payment as a duplicate", async () => {
+    const review = (uid) => ({ duplicateCheck: { status: "held", by: { uid } } });
+    await assertSucceeds(as("exporter").doc(`${name}/pending`).update(review("exporter")));
+    await assertFails(as("viewer").doc(`${name}/pending`).update(review("viewer")));
+  });
+
+  test("nobody can create or delete teller payments from the dashboard", async () => {
+    await assertFails(as("admin").doc(`${name}/t1`).set({ status: "approved" }));
+    await assertFails(as("admin").doc(`${name}/pending`).delete());
+  });
+});
@@ -1,14 +1,79 @@
+import { useState, useEffect } from 'react';
+import { onAuthStateChanged, signOut } from 'firebase/auth';
+import { doc, getDoc } from 'firebase/firestore';
+import { auth, db } from './firebase';
 import Dashboard from './Dashboard';
+import LoginScreen from './components/LoginScreen';
+import { normalizeRole } from './utils/roles';
 import './App.css';
 
 function App() {
+  // undefined until Firebase has restored (or ruled out) a persisted session
+  const [user, setUser] = useState(undefined);
+  const [role, setRole] = useState(null);
+
+  useEffect(() => onAuthStateChanged(auth, setUser), []);
+
+  useEffect(() => {
+    if (!user) {
+      setRole(null);
+      return;
+    }
+    let cancelled = false;
+    getDoc(doc(db, 'users', user.uid))
+      .then((snap) => {
+        if (!cancelled) setRole(normalizeRole(snap.data()?.role));
+      })
+      .catch(() => {
+        if (!cancelled) setRole(normalizeRole(null));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  if (user === undefined || (user && !role)) {
+    return (
+      <div className="App">
+        <div className="flex justify-center items-center min-h-screen">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-600"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="App">
+        <LoginScreen />
+      </div>
+    );
+  }
+
   return (
     <div className="App">
       <header className="App-header">
-        <Dashboard />
+        <div className="w-full max-w-7xl flex justify-end items-center gap-4 px-4 sm:px-6 lg:px-8 text-sm text-gray-600">
+          <span>
+            Signed in as{' '}
+            <strong className="text-gray-800">
+              {user.displayName || user.email}
+            </strong>{' '}
+            <span className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-600 text-xs font-semibold capitalize">
+              {role}
+            </span>
+          </span>
+          <button
+            onClick={() => signOut(auth)}
+            className="px-3 py-1 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400"
+          >
+            Sign out
+          </button>
+        </div>
+        <Dashboard user={user} role={role} />
       </header>
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
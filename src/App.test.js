@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the sign-in screen when nobody is signed in', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const signInButton = await screen.findByRole('button', { name: /sign in/i });
+  expect(signInButton).toBeInTheDocument();
 });
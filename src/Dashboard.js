@@ -1,356 +1,802 @@
 /* eslint-disable no-unused-vars */
-import React, { useState, useEffect, useCallback } from "react";
-import {
-  collection,
-  query,
-  where,
-  getDocs,
-  writeBatch,
-} from "firebase/firestore";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { collection, query, where, orderBy } from "firebase/firestore";
 import { db } from "./firebase";
-import * as XLSX from "xlsx";
 
-import NumbersTab from "./components/NumbersTab";
-import WebsiteTransactionsTab from "./components/WebsiteTransactionsTab";
-import UssdTransactionsTab from "./components/UssdTransactionsTab";
+import SourceTab from "./components/SourceTab";
+import ExportHistoryTab from "./components/ExportHistoryTab";
+import OverviewPanel from "./components/OverviewPanel";
+import ExportWindowPicker from "./components/ExportWindowPicker";
+import ExportLayoutPicker from "./components/ExportLayoutPicker";
+import ExportFormatPicker from "./components/ExportFormatPicker";
+import ExportTemplatePicker from "./components/ExportTemplatePicker";
+import TemplatesTab from "./components/TemplatesTab";
+import DuplicatesTab from "./components/DuplicatesTab";
+import BundlesTab from "./components/BundlesTab";
+import AnalyticsTab from "./components/AnalyticsTab";
+import ReconciliationTab from "./components/ReconciliationTab";
+import ExportSplitPicker from "./components/ExportSplitPicker";
+import ExportProgress from "./components/ExportProgress";
+import usePagedQuery from "./hooks/usePagedQuery";
+import useLiveQueues from "./hooks/useLiveQueues";
+import { canExport, isAdmin } from "./utils/roles";
+import {
+  EXPORT_BATCHES,
+  EXPORT_STATES,
+  runExport,
+  recoverStuckExports,
+  fetchLeaseCheck,
+  stampFileName,
+  describeOperator,
+  fetchBatchFile,
+  fetchBatchRecords,
+  fetchLastExportAt,
+  reopenBatch,
+} from "./utils/exportLedger";
+import {
+  withExportLock,
+  getActiveExportLock,
+  ExportLockedError,
+} from "./utils/exportLock";
+import {
+  SOURCE_LIST,
+  SOURCES,
+  phoneOf,
+  splitKeysOf,
+  exportGroupOf,
+  bundleSizeMb,
+  hasBundles,
+  unknownBundles,
+} from "./utils/sources";
+import {
+  writeExport,
+  formatFromFileName,
+  exportFileName,
+  fileSettings,
+  DEFAULT_LAYOUT_OPTIONS,
+  DEFAULT_FORMAT_OPTIONS,
+  DEFAULT_SPLIT_OPTIONS,
+  EXPORT_LAYOUTS,
+  resolveSplit,
+  splitsIntoSheets,
+} from "./utils/exportFiles";
+import { pendingVolume, oldestPendingAt } from "./utils/queues";
+import {
+  EMPTY_FILTERS,
+  hasActiveFilters,
+  filteredQuery,
+  filterPredicate,
+  fetchFilteredDocs,
+  countFiltered,
+} from "./utils/filters";
+import { isValidPhone } from "./utils/phone";
+import { networkMismatch, correctNetworks } from "./utils/networkCheck";
+import { isPriceHeld, approvePrice } from "./utils/priceCheck";
+import {
+  DUPLICATE_STATUSES,
+  fetchPendingRecords,
+  fetchDuplicateCandidates,
+  groupDuplicates,
+  unresolvedDuplicateIds,
+  setDuplicateStatus,
+  isHeld,
+} from "./utils/duplicates";
+import {
+  fetchBundles,
+  saveBundle,
+  deleteBundle,
+  buildCatalog,
+} from "./utils/bundleCatalog";
+import {
+  ANALYTICS_COLUMNS,
+  fetchSales,
+  rollUp,
+  lastDays,
+} from "./utils/analytics";
+import {
+  fetchReconciliation,
+  fetchResolutions,
+  resolveItem,
+} from "./utils/reconciliation";
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  windowClauses,
+  orderClause,
+} from "./utils/exportWindow";
+import {
+  fetchTemplates,
+  saveTemplate,
+  deleteTemplate,
+  columnsFor,
+} from "./utils/exportTemplates";
 
 /* ------------------------------------------------------------------ */
 /*  Helpers                                                           */
 /* ------------------------------------------------------------------ */
-const formatPhoneNumber = (number) => {
-  if (!number) return "N/A";
-  const cleaned = number.toString().replace(/^233/, "").trim();
-  return cleaned.length === 9 ? `0${cleaned}` : cleaned || "N/A";
-};
+const COLLECTIONS = SOURCE_LIST.map((source) => source.collectionName);
 
-const extractGB = (desc) => {
-  if (!desc) return "N/A";
-  const m = desc.match(/(\d+)GB/i);
-  return m ? m[1] : "N/A";
+// One tab per source, in registry order, then the tools
+const TABS = {
+  HISTORY: SOURCE_LIST.length,
+  DUPLICATES: SOURCE_LIST.length + 1,
+  ANALYTICS: SOURCE_LIST.length + 2,
+  RECONCILIATION: SOURCE_LIST.length + 3,
+  TEMPLATES: SOURCE_LIST.length + 4,
+  BUNDLES: SOURCE_LIST.length + 5,
 };
 
-const downloadExcel = (data, fileName, headers) => {
-  const ws = XLSX.utils.json_to_sheet(data, { header: headers });
-  const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, "Sheet1");
-  XLSX.writeFile(wb, `${fileName}.xlsx`);
+// Ages and last-export times are re-read this often; the pending counts and
+// USSD values next to them are live, and volumes are totalled on request
+const OVERVIEW_REFRESH_MS = 5 * 60 * 1000;
+
+// Pending queues are paged oldest-first, so new arrivals land on the last page
+const listQuery = (collectionName, filters) =>
+  query(
+    filteredQuery(collectionName, filters),
+    orderBy(SOURCES[collectionName].orderBy)
+  );
+
+const historyQuery = () =>
+  query(collection(db, EXPORT_BATCHES), orderBy("createdAt", "desc"));
+
+// Why a pending record stays in the queue when it is exported, or null when
+// it goes out
+const HOLD_REASONS = {
+  LEASED: "leased",
+  DUPLICATE: "duplicate",
+  PRICE: "price",
+  INVALID: "invalid",
 };
 
-const debounce = (func, wait) => {
-  let timeout;
-  return (...args) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => func(...args), wait);
-  };
+// `isLeased` comes from fetchLeaseCheck over the same records
+const holdReason = (collectionName, row, catalog, isLeased) => {
+  if (isLeased(row)) return HOLD_REASONS.LEASED;
+  if (isHeld(row)) return HOLD_REASONS.DUPLICATE;
+  if (isPriceHeld(collectionName, row, catalog)) return HOLD_REASONS.PRICE;
+  if (!isValidPhone(phoneOf(collectionName, row))) return HOLD_REASONS.INVALID;
+  return null;
 };
 
+// Invalid numbers go out only when the operator includes them
+const isExportable = (reason, options) =>
+  !reason || (reason === HOLD_REASONS.INVALID && options.includeInvalid);
+
+// What only shows once an export has read its records, each as a sentence
+// for the operator to confirm: holds worked out per record, and warnings
+// about the records going out. Empty when there is nothing to say.
+const exportReview = ({ held, duplicates, mismatches, sizeUnknown }) =>
+  [
+    held[HOLD_REASONS.PRICE] &&
+      `${
+        held[HOLD_REASONS.PRICE]
+      } record(s) not paid at the list price will stay in the queue until an exporter approves them.`,
+    held[HOLD_REASONS.INVALID] &&
+      `${
+        held[HOLD_REASONS.INVALID]
+      } record(s) with invalid phone numbers will stay in the queue.`,
+    duplicates &&
+      `${duplicates} record(s) look like duplicates of another order placed within minutes. Cancel to review them in the Duplicates tab first.`,
+    mismatches &&
+      `${mismatches} record(s) declare a network their number does not belong to. Cancel to correct providers from the tab first.`,
+    sizeUnknown &&
+      `${sizeUnknown} record(s) are for bundles whose size neither the bundle catalog nor the record gives; their data size will read N/A.`,
+  ].filter(Boolean);
+
 /* ------------------------------------------------------------------ */
 /*  Dashboard component                                               */
 /* ------------------------------------------------------------------ */
-const Dashboard = () => {
+const Dashboard = ({ user, role }) => {
   /* -------------------------- State -------------------------- */
   const [tabValue, setTabValue] = useState(0);
 
-  const [numbers, setNumbers] = useState([]);
-  const [transactions, setTransactions] = useState([]);
-  const [ussdTransactions, setUssdTransactions] = useState([]);
-
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  const [numbersPage, setNumbersPage] = useState(1);
-  const [transactionsPage, setTransactionsPage] = useState(1);
-  const [ussdPage, setUssdPage] = useState(1);
-  const [hasMoreNumbers, setHasMoreNumbers] = useState(true);
-  const [hasMoreTransactions, setHasMoreTransactions] = useState(true);
-  const [hasMoreUssd, setHasMoreUssd] = useState(true);
-
-  const [totalNumbers, setTotalNumbers] = useState(0);
-  const [totalTransactions, setTotalTransactions] = useState(0);
-  const [totalUssd, setTotalUssd] = useState(0);
-
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
   const [confirmAction, setConfirmAction] = useState(null);
-  const [recordCount, setRecordCount] = useState(0);
+  const [exportOptions, setExportOptions] = useState({
+    ...DEFAULT_EXPORT_OPTIONS,
+    ...DEFAULT_LAYOUT_OPTIONS,
+    ...DEFAULT_FORMAT_OPTIONS,
+    ...DEFAULT_SPLIT_OPTIONS,
+    templateId: "",
+    includeInvalid: false,
+  });
+  // `{ total, leased, held }` in the chosen window; null while counting
+  const [dialogCounts, setDialogCounts] = useState(null);
+  const [progress, setProgress] = useState(null); // { phase, done, total }
+
+  const [overview, setOverview] = useState({});
+  const [overviewUpdatedAt, setOverviewUpdatedAt] = useState(null);
+  const [overviewLoading, setOverviewLoading] = useState(false);
+  // Pending GB and GH₵ per bundle queue, worked out on request
+  const [volumes, setVolumes] = useState({});
+  const [volumesLoading, setVolumesLoading] = useState(false);
+
+  // Per-queue search filters, and how many records match them (null when
+  // a queue is unfiltered)
+  const [filters, setFilters] = useState(() =>
+    Object.fromEntries(COLLECTIONS.map((name) => [name, EMPTY_FILTERS]))
+  );
+  const [matchCounts, setMatchCounts] = useState({});
+
+  const [templates, setTemplates] = useState([]);
+  const [templatesLoading, setTemplatesLoading] = useState(false);
+
+  const [duplicatesChannel, setDuplicatesChannel] = useState(COLLECTIONS[0]);
+  const [duplicates, setDuplicates] = useState({ records: [], groups: [] });
+  const [duplicatesLoading, setDuplicatesLoading] = useState(false);
+
+  const [bundles, setBundles] = useState([]);
+  const catalog = useMemo(() => buildCatalog(bundles), [bundles]);
+  const [unknown, setUnknown] = useState([]);
+  const [bundlesLoading, setBundlesLoading] = useState(false);
+
+  const [analyticsRange, setAnalyticsRange] = useState(() => lastDays(7));
+  const [analyticsRows, setAnalyticsRows] = useState([]);
+  const [analyticsLoading, setAnalyticsLoading] = useState(false);
+
+  const [reconRange, setReconRange] = useState(() => lastDays(7));
+  const [reconItems, setReconItems] = useState([]);
+  const [resolutions, setResolutions] = useState({});
+  const [reconLoading, setReconLoading] = useState(false);
 
-  const pageSize = 6;
-  const maxExportRecords = 1000;
   const batchSize = 500;
+  const allowExport = canExport(role);
 
   /* ----------------------- Tab handling ---------------------- */
   const handleTabChange = (newValue) => {
     setTabValue(newValue);
     setError(null);
-    if (newValue === 0) {
-      setNumbersPage(1);
-      setHasMoreNumbers(true);
-    } else if (newValue === 1) {
-      setTransactionsPage(1);
-      setHasMoreTransactions(true);
-    } else if (newValue === 2) {
-      setUssdPage(1);
-      setHasMoreUssd(true);
-    }
   };
 
-  /* -------------------------- Totals -------------------------- */
-  const fetchTotalNumbers = async () => {
+  /* -------------------------- Live totals -------------------------- */
+  const onLiveError = useCallback(
+    (e) => setError("Live updates failed: " + e.message),
+    []
+  );
+  const live = useLiveQueues(COLLECTIONS, { onError: onLiveError });
+
+  /* -------------------------- Overview -------------------------- */
+  const fetchOverview = useCallback(async () => {
+    setOverviewLoading(true);
     try {
-      const q = query(
-        collection(db, "entries"),
-        where("exported", "==", false)
+      const entries = await Promise.all(
+        COLLECTIONS.map(async (collectionName) => {
+          const [oldestCreatedAt, lastExportAt] = await Promise.all([
+            oldestPendingAt(collectionName),
+            fetchLastExportAt(collectionName),
+          ]);
+          return [collectionName, { oldestCreatedAt, lastExportAt }];
+        })
       );
-      const snap = await getDocs(q);
-      setTotalNumbers(snap.size);
+      setOverview(Object.fromEntries(entries));
+      setOverviewUpdatedAt(new Date());
     } catch (e) {
-      setError("Failed to fetch total numbers: " + e.message);
+      setError("Failed to load overview: " + e.message);
+    } finally {
+      setOverviewLoading(false);
     }
-  };
+  }, []);
 
-  const fetchTotalTransactions = async () => {
+  // Reads every pending order, so it only runs when someone asks
+  const handleLoadVolumes = async () => {
+    setVolumesLoading(true);
     try {
-      const q = query(
-        collection(db, "webite_purchase"),
-        where("status", "==", "approved"),
-        where("exported", "==", false)
+      const entries = await Promise.all(
+        COLLECTIONS.filter(hasBundles).map(async (collectionName) => [
+          collectionName,
+          await pendingVolume(collectionName, catalog),
+        ])
       );
-      const snap = await getDocs(q);
-      setTotalTransactions(snap.size);
+      setVolumes(Object.fromEntries(entries));
     } catch (e) {
-      setError("Failed to fetch total transactions: " + e.message);
+      setError("Failed to total pending volume: " + e.message);
+    } finally {
+      setVolumesLoading(false);
     }
   };
 
-  const fetchTotalUssd = async () => {
+  /* -------------------------- Filters -------------------------- */
+  const recountMatches = async (collectionName, next) => {
+    const matchCount = hasActiveFilters(next)
+      ? await countFiltered(collectionName, next, catalog)
+      : null;
+    setMatchCounts((prev) => ({ ...prev, [collectionName]: matchCount }));
+  };
+
+  const handleApplyFilters = async (collectionName, next) => {
+    setFilters((prev) => ({ ...prev, [collectionName]: next }));
     try {
-      const q = query(
-        collection(db, "delivery_queue"),
-        where("exported", "==", false)
-      );
-      const snap = await getDocs(q);
-      setTotalUssd(snap.size);
+      await recountMatches(collectionName, next);
     } catch (e) {
-      setError("Failed to fetch total USSD: " + e.message);
+      setError("Failed to count matching records: " + e.message);
     }
   };
 
-  /* -------------------------- Fetchers -------------------------- */
-  const fetchNumbers = async () => {
-    setLoading(true);
+  /* -------------------------- Paged lists -------------------------- */
+  // The open source tab, or null on the other tabs. One pager serves every
+  // source; it starts over from page one whenever the tab changes.
+  const activeSource = SOURCE_LIST[tabValue]?.collectionName ?? null;
+  const activeFilters = activeSource ? filters[activeSource] : EMPTY_FILTERS;
+
+  const onSourceError = useCallback(
+    (e) => setError("Failed to fetch records: " + e.message),
+    []
+  );
+  const onHistoryError = useCallback(
+    (e) => setError("Failed to fetch export history: " + e.message),
+    []
+  );
+
+  const sourceQuery = useCallback(
+    () => listQuery(activeSource, activeFilters),
+    [activeSource, activeFilters]
+  );
+  // Sizes come from the catalog, so a reloaded catalog re-filters the page
+  const sourceMatch = useMemo(
+    () => activeSource && filterPredicate(activeSource, activeFilters, catalog),
+    [activeSource, activeFilters, catalog]
+  );
+
+  const sourcePager = usePagedQuery({
+    buildQuery: sourceQuery,
+    matches: sourceMatch,
+    active: !!activeSource,
+    onError: onSourceError,
+  });
+  const historyPager = usePagedQuery({
+    buildQuery: historyQuery,
+    active: tabValue === TABS.HISTORY,
+    onError: onHistoryError,
+  });
+
+  /* -------------------------- Export Handlers -------------------------- */
+  // Window and ordering chosen in the confirm dialog, on top of the filters
+  const exportClauses = (options) => [
+    ...windowClauses(options),
+    orderClause(options),
+  ];
+
+  const trackReading = (done) =>
+    setProgress({ phase: "reading", done, total: null });
+
+  // Every source exports through here, once the confirm dialog is accepted
+  const handleDownload = (collectionName) => async (options) => {
     try {
-      const q = query(
-        collection(db, "entries"),
-        where("exported", "==", false)
+      setLoading(true);
+      const exported = await withExportLock(
+        collectionName,
+        describeOperator(user),
+        async (keepLock) => {
+          const matching = await fetchFilteredDocs(
+            collectionName,
+            filters[collectionName],
+            catalog,
+            exportClauses(options),
+            trackReading
+          );
+          const isLeased = await fetchLeaseCheck(matching.map((d) => d.data()));
+          const reasons = matching.map((d) =>
+            holdReason(collectionName, d.data(), catalog, isLeased)
+          );
+          const docs = matching.filter((d, i) =>
+            isExportable(reasons[i], options)
+          );
+          const held = {};
+          reasons.forEach((reason) => {
+            if (!isExportable(reason, options)) {
+              held[reason] = (held[reason] || 0) + 1;
+            }
+          });
+
+          // Duplicates are looked for once per export, among the records read
+          // and the stretch of the other channels they cover
+          setProgress({ phase: "checking", done: 0, total: null });
+          const duplicateIds = unresolvedDuplicateIds(
+            groupDuplicates(
+              await fetchDuplicateCandidates(collectionName, matching),
+              catalog
+            ),
+            collectionName
+          );
+          const review = exportReview({
+            held,
+            duplicates: docs.filter((d) => duplicateIds.has(d.id)).length,
+            mismatches: docs.filter((d) =>
+              networkMismatch(collectionName, d.data())
+            ).length,
+            sizeUnknown: docs.filter(
+              (d) =>
+                hasBundles(collectionName) &&
+                bundleSizeMb(collectionName, d.data(), catalog) == null
+            ).length,
+          });
+          if (
+            review.length > 0 &&
+            !window.confirm(
+              [
+                `${docs.length} of the ${matching.length} record(s) read will be exported.`,
+                ...review,
+                "Export now?",
+              ].join("\n\n")
+            )
+          )
+            return false;
+          await keepLock();
+
+          const columns = columnsFor(
+            collectionName,
+            templates,
+            options.templateId
+          );
+          // The file is written from what is saved on the batch, so a
+          // re-download comes out the same
+          const file = {
+            rows: docs.map((d) => columns.toRow(d.data(), catalog)),
+            groups: docs.map((d) =>
+              exportGroupOf(collectionName, d.data(), catalog)
+            ),
+            ...fileSettings(
+              columns,
+              resolveSplit(splitKeysOf(collectionName), options)
+            ),
+          };
+
+          const fileName = stampFileName(columns.baseFileName);
+          await runExport({
+            docs,
+            collectionName,
+            fileName: exportFileName(
+              file.rows,
+              file.groups,
+              fileName,
+              file.options
+            ),
+            operator: describeOperator(user),
+            templateId: columns.templateId,
+            file,
+            batchSize,
+            onProgress: setProgress,
+            writeFile: () =>
+              writeExport(
+                file.rows,
+                fileName,
+                file.columns,
+                file.options,
+                file.groups
+              ),
+          });
+          return true;
+        }
       );
-      const snap = await getDocs(q);
-      const data = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-      setNumbers(data);
-      setHasMoreNumbers(data.length === pageSize);
+      if (!exported) return;
+      await sourcePager.reset();
+      await live[collectionName].recount();
+      await recountMatches(collectionName, filters[collectionName]);
+      fetchOverview();
+      // The queue's totalled volume no longer holds
+      setVolumes((prev) => ({ ...prev, [collectionName]: null }));
     } catch (e) {
-      setError("Failed to fetch numbers: " + e.message);
+      setError(
+        e instanceof ExportLockedError
+          ? e.message
+          : "Export failed: " + e.message
+      );
     } finally {
       setLoading(false);
+      setProgress(null);
     }
   };
 
-  const fetchTransactions = async () => {
-    setLoading(true);
+  /* -------------------------- New arrivals -------------------------- */
+  // New records sort after everything already listed, so reloading the
+  // current page merges them in without moving the operator elsewhere.
+  const handleShowNew = (collectionName) => {
+    live[collectionName].acknowledge();
+    sourcePager.refresh();
+  };
+
+  /* -------------------------- Export History -------------------------- */
+  const handleRedownloadBatch = async (batch) => {
     try {
-      const q = query(
-        collection(db, "webite_purchase"),
-        where("status", "==", "approved"),
-        where("exported", "==", false)
+      setLoading(true);
+      const fileName = batch.fileName.replace(/\.(xlsx|csv|json|zip)$/, "");
+      const file = await fetchBatchFile(batch);
+      if (file) {
+        await writeExport(
+          file.rows,
+          fileName,
+          file.columns,
+          file.options,
+          file.groups
+        );
+        return;
+      }
+
+      // Older batches kept no rows: they are rebuilt from the records as they
+      // are now, as a single file
+      if (
+        batch.templateId &&
+        !templates.some((t) => t.id === batch.templateId)
+      ) {
+        throw new Error("the export template of this batch has been deleted");
+      }
+      const columns = columnsFor(batch.collection, templates, batch.templateId);
+      const rows = await fetchBatchRecords(batch);
+      await writeExport(
+        rows.map((row) => columns.toRow(row, catalog)),
+        fileName,
+        columns,
+        {
+          ...DEFAULT_LAYOUT_OPTIONS,
+          ...DEFAULT_FORMAT_OPTIONS,
+          ...DEFAULT_SPLIT_OPTIONS,
+          format: formatFromFileName(batch.fileName),
+        }
       );
-      const snap = await getDocs(q);
-      const data = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-      setTransactions(data);
-      setHasMoreTransactions(data.length === pageSize);
     } catch (e) {
-      setError("Failed to fetch transactions: " + e.message);
+      setError("Re-download failed: " + e.message);
     } finally {
       setLoading(false);
     }
   };
 
-  const fetchUssdTransactions = async () => {
-    setLoading(true);
+  const handleReopenBatch = async (batch) => {
+    if (
+      !window.confirm(
+        `Reopen ${batch.fileName}? Its ${batch.rowCount} records will be marked as not exported and show up in the queue again.`
+      )
+    )
+      return;
     try {
-      const q = query(
-        collection(db, "delivery_queue"),
-        where("exported", "==", false)
-      );
-      const snap = await getDocs(q);
-
-      const result = snap.docs.map((d) => {
-        const row = d.data();
-        return {
-          id: d.id,
-          msisdn: row.msisdn,
-          gig: row.gig || "N/A",
-          amount: row.amount || "N/A",
-          externalRef: row.externalRef || "N/A",
-          createdAt: row.createdAt,
-        };
-      });
-
-      const startIdx = (ussdPage - 1) * pageSize;
-      const endIdx = startIdx + pageSize;
-      const pageData = result.slice(startIdx, endIdx);
-
-      setUssdTransactions(pageData);
-      setHasMoreUssd(endIdx < result.length);
+      setLoading(true);
+      await reopenBatch(batch, describeOperator(user));
+      await historyPager.refresh();
     } catch (e) {
-      setError("Failed to fetch USSD: " + e.message);
+      setError("Reopen failed: " + e.message);
     } finally {
       setLoading(false);
     }
   };
 
-  /* -------------------------- Export Handlers -------------------------- */
-  const handleDownloadNumbers = async () => {
+  /* -------------------------- Network checks -------------------------- */
+  // Corrects every claimable record matching the tab's filters, not just the
+  // ones on screen
+  const handleCorrectNetworks = async (collectionName) => {
     try {
       setLoading(true);
-      const q = query(
-        collection(db, "entries"),
-        where("exported", "==", false)
+      const matching = await fetchFilteredDocs(
+        collectionName,
+        filters[collectionName],
+        catalog
+      );
+      const isLeased = await fetchLeaseCheck(matching.map((d) => d.data()));
+      const docs = matching.filter(
+        (d) => !isLeased(d.data()) && networkMismatch(collectionName, d.data())
       );
-      const snap = await getDocs(q);
-      const docs = snap.docs.slice(0, maxExportRecords);
-
-      const data = docs.map((d) => ({
-        "Phone Number": formatPhoneNumber(d.data().phoneNumber),
-        "Network Provider": d.data().networkProvider || "N/A",
-      }));
-
-      setRecordCount(docs.length);
-
-      for (let i = 0; i < docs.length; i += batchSize) {
-        const batch = writeBatch(db);
-        docs
-          .slice(i, i + batchSize)
-          .forEach((d) => batch.update(d.ref, { exported: true }));
-        await batch.commit();
+      if (docs.length === 0) {
+        window.alert("No records with a mismatched network.");
+        return;
       }
-
-      downloadExcel(data, "Numbers", ["Phone Number", "Network Provider"]);
-      await fetchNumbers();
-      await fetchTotalNumbers();
+      if (
+        !window.confirm(
+          `Set the network of ${docs.length} record(s) to the one their number belongs to?`
+        )
+      )
+        return;
+      await correctNetworks(collectionName, docs, describeOperator(user));
+      await sourcePager.refresh();
     } catch (e) {
-      setError("Export failed: " + e.message);
+      setError("Network correction failed: " + e.message);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDownloadTransactions = async () => {
+  /* -------------------------- Price checks -------------------------- */
+  const handleApprovePrice = async (collectionName, row) => {
     try {
       setLoading(true);
-      const q = query(
-        collection(db, "webite_purchase"),
-        where("status", "==", "approved"),
-        where("exported", "==", false)
+      await approvePrice(
+        collectionName,
+        row.id,
+        row,
+        catalog,
+        describeOperator(user)
       );
-      const snap = await getDocs(q);
-      const docs = snap.docs.slice(0, maxExportRecords);
-
-      const data = docs.map((d) => ({
-        Number: formatPhoneNumber(d.data().recipientNumber),
-        GB: extractGB(d.data().serviceName) || "N/A",
-      }));
-
-      setRecordCount(docs.length);
-
-      for (let i = 0; i < docs.length; i += batchSize) {
-        const batch = writeBatch(db);
-        docs
-          .slice(i, i + batchSize)
-          .forEach((d) => batch.update(d.ref, { exported: true }));
-        await batch.commit();
-      }
-
-      downloadExcel(data, "Transactions", ["Number", "GB"]);
-      await fetchTransactions();
-      await fetchTotalTransactions();
+      await sourcePager.refresh();
     } catch (e) {
-      setError("Export failed: " + e.message);
+      setError("Price approval failed: " + e.message);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDownloadUssd = async () => {
+  /* -------------------------- Duplicates -------------------------- */
+  const loadDuplicates = useCallback(async () => {
+    setDuplicatesLoading(true);
     try {
-      setLoading(true);
-      const q = query(
-        collection(db, "delivery_queue"),
-        where("exported", "==", false)
+      const records = await fetchDuplicateCandidates(duplicatesChannel);
+      setDuplicates({ records, groups: groupDuplicates(records, catalog) });
+    } catch (e) {
+      setError("Failed to load duplicates: " + e.message);
+    } finally {
+      setDuplicatesLoading(false);
+    }
+  }, [duplicatesChannel, catalog]);
+
+  const handleDuplicateStatus = async (records, status) => {
+    try {
+      setDuplicatesLoading(true);
+      await setDuplicateStatus(records, status, describeOperator(user));
+      await loadDuplicates();
+    } catch (e) {
+      setError("Duplicate review failed: " + e.message);
+      setDuplicatesLoading(false);
+    }
+  };
+
+  /* -------------------------- Export Templates -------------------------- */
+  const loadTemplates = useCallback(async () => {
+    setTemplatesLoading(true);
+    try {
+      setTemplates(await fetchTemplates());
+    } catch (e) {
+      setError("Failed to load export templates: " + e.message);
+    } finally {
+      setTemplatesLoading(false);
+    }
+  }, []);
+
+  // Resolves to true once saved, so the editor knows it can close
+  const handleSaveTemplate = async (template) => {
+    try {
+      await saveTemplate(template, describeOperator(user));
+      await loadTemplates();
+      return true;
+    } catch (e) {
+      setError("Saving template failed: " + e.message);
+      return false;
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    try {
+      await deleteTemplate(template.id);
+      await loadTemplates();
+    } catch (e) {
+      setError("Deleting template failed: " + e.message);
+    }
+  };
+
+  /* -------------------------- Bundle Catalog -------------------------- */
+  // A new `bundles` list rebuilds `catalog`, which every size lookup is given
+  const loadBundles = useCallback(async () => {
+    setBundlesLoading(true);
+    try {
+      setBundles(await fetchBundles());
+    } catch (e) {
+      setError("Failed to load the bundle catalog: " + e.message);
+    } finally {
+      setBundlesLoading(false);
+    }
+  }, []);
+
+  const loadUnknownBundles = useCallback(async () => {
+    setBundlesLoading(true);
+    try {
+      setUnknown(
+        unknownBundles(
+          await fetchPendingRecords(COLLECTIONS.filter(hasBundles)),
+          catalog
+        )
       );
-      const snap = await getDocs(q);
-      const docs = snap.docs.slice(0, maxExportRecords);
-
-      const data = docs.map((d) => {
-        const row = d.data();
-        return {
-          Number: formatPhoneNumber(row.msisdn),
-          GB: row.gig || "N/A",
-          Amount: row.amount || "N/A",
-        };
-      });
-
-      setRecordCount(docs.length);
-
-      // BATCH UPDATE: mark as exported
-      for (let i = 0; i < docs.length; i += batchSize) {
-        const batch = writeBatch(db);
-        docs
-          .slice(i, i + batchSize)
-          .forEach((d) => batch.update(d.ref, { exported: true }));
-        await batch.commit();
+    } catch (e) {
+      setError("Failed to look for unknown bundles: " + e.message);
+    } finally {
+      setBundlesLoading(false);
+    }
+  }, [catalog]);
+
+  // Resolves to true once saved, so the editor knows it can close
+  const handleSaveBundle = async (bundle) => {
+    try {
+      await saveBundle(bundle, describeOperator(user));
+      await loadBundles();
+      return true;
+    } catch (e) {
+      setError("Saving bundle failed: " + e.message);
+      return false;
+    }
+  };
+
+  const handleDeleteBundle = async (bundle) => {
+    if (!window.confirm(`Delete the bundle "${bundle.name}"?`)) return;
+    try {
+      await deleteBundle(bundle.id);
+      await loadBundles();
+    } catch (e) {
+      setError("Deleting bundle failed: " + e.message);
+    }
+  };
+
+  /* -------------------------- Analytics -------------------------- */
+  const loadAnalytics = useCallback(
+    async ({ from, to }) => {
+      setAnalyticsLoading(true);
+      try {
+        setAnalyticsRows(rollUp(await fetchSales(from, to), catalog));
+      } catch (e) {
+        setError("Failed to load analytics: " + e.message);
+      } finally {
+        setAnalyticsLoading(false);
       }
+    },
+    [catalog]
+  );
 
-      downloadExcel(data, "UssdTransactions", ["Number", "GB", "Amount"]);
-      await fetchUssdTransactions();
-      await fetchTotalUssd();
+  const handleExportAnalytics = async (formatOptions) => {
+    try {
+      await writeExport(
+        analyticsRows.map(ANALYTICS_COLUMNS.toRow),
+        `${ANALYTICS_COLUMNS.baseFileName}_${analyticsRange.from}_to_${analyticsRange.to}`,
+        ANALYTICS_COLUMNS,
+        {
+          ...DEFAULT_LAYOUT_OPTIONS,
+          ...DEFAULT_SPLIT_OPTIONS,
+          ...formatOptions,
+        }
+      );
     } catch (e) {
-      setError("USSD export failed: " + e.message);
+      setError("Analytics export failed: " + e.message);
+    }
+  };
+
+  /* -------------------------- Reconciliation -------------------------- */
+  const loadReconciliation = useCallback(async ({ from, to }) => {
+    setReconLoading(true);
+    try {
+      const [items, resolved] = await Promise.all([
+        fetchReconciliation(from, to),
+        fetchResolutions(),
+      ]);
+      setReconItems(items);
+      setResolutions(resolved);
+    } catch (e) {
+      setError("Failed to load reconciliation: " + e.message);
     } finally {
-      setLoading(false);
+      setReconLoading(false);
+    }
+  }, []);
+
+  const handleResolveItem = async (item, note) => {
+    try {
+      await resolveItem(item, note, describeOperator(user));
+      setResolutions(await fetchResolutions());
+    } catch (e) {
+      setError("Resolving failed: " + e.message);
     }
   };
 
   /* -------------------------- Confirm Dialog -------------------------- */
-  const openConfirmDialog = async (action) => {
+  const openConfirmDialog = async (collectionName) => {
+    if (!allowExport) {
+      setError("Your role does not allow exports.");
+      return;
+    }
     try {
       setLoading(true);
-      let count = 0;
-      if (tabValue === 0) {
-        const q = query(
-          collection(db, "entries"),
-          where("exported", "==", false)
-        );
-        const snap = await getDocs(q);
-        count = snap.size;
-      } else if (tabValue === 1) {
-        const q = query(
-          collection(db, "webite_purchase"),
-          where("status", "==", "approved"),
-          where("exported", "==", false)
-        );
-        const snap = await getDocs(q);
-        count = snap.size;
-      } else if (tabValue === 2) {
-        const q = query(
-          collection(db, "delivery_queue"),
-          where("exported", "==", false)
-        );
-        const snap = await getDocs(q);
-        count = snap.size;
+      const lock = await getActiveExportLock(collectionName);
+      if (lock) {
+        setError(new ExportLockedError(lock.operator).message);
+        return;
       }
-      setRecordCount(count);
-      setConfirmAction(() => action);
+      setConfirmAction(() => handleDownload(collectionName));
       setShowConfirmDialog(true);
     } catch (e) {
-      setError("Failed to count records: " + e.message);
+      setError("Failed to check export lock: " + e.message);
     } finally {
       setLoading(false);
     }
@@ -359,48 +805,92 @@ const Dashboard = () => {
   const closeConfirmDialog = () => {
     setShowConfirmDialog(false);
     setConfirmAction(null);
-    setRecordCount(0);
+    setDialogCounts(null);
+    setExportOptions((options) => ({ ...options, includeInvalid: false }));
   };
 
   const confirmDownload = () => {
-    if (confirmAction) confirmAction();
+    if (confirmAction) confirmAction(exportOptions);
     closeConfirmDialog();
   };
 
-  /* -------------------------- Pagination -------------------------- */
-  const handlePrevPage = useCallback(
-    debounce(() => {
-      if (tabValue === 0 && numbersPage > 1) setNumbersPage((p) => p - 1);
-      else if (tabValue === 1 && transactionsPage > 1)
-        setTransactionsPage((p) => p - 1);
-      else if (tabValue === 2 && ussdPage > 1) setUssdPage((p) => p - 1);
-    }, 300),
-    [tabValue, numbersPage, transactionsPage, ussdPage]
+  /* -------------------------- Effects -------------------------- */
+  // Only the window changes the count, not the file options
+  const { window: windowKind, cutoff, from, to } = exportOptions;
+  const countWindow = useMemo(
+    () => ({ window: windowKind, cutoff, from, to }),
+    [windowKind, cutoff, from, to]
   );
 
-  const handleNextPage = useCallback(
-    debounce(() => {
-      if (tabValue === 0 && hasMoreNumbers) setNumbersPage((p) => p + 1);
-      else if (tabValue === 1 && hasMoreTransactions)
-        setTransactionsPage((p) => p + 1);
-      else if (tabValue === 2 && hasMoreUssd) setUssdPage((p) => p + 1);
-    }, 300),
-    [tabValue, hasMoreNumbers, hasMoreTransactions, hasMoreUssd]
-  );
+  // The dialog count follows the chosen window, so the operator confirms the
+  // number that will be exported. Only aggregation queries run here: the
+  // total, and the holds Firestore can count. What is checked per record
+  // (prices, numbers, networks, sizes, duplicates) is worked out once, when
+  // the export has read its records.
+  useEffect(() => {
+    if (!showConfirmDialog) return;
+    const { collectionName } = SOURCE_LIST[tabValue];
+    const count = (...extra) =>
+      countFiltered(collectionName, filters[collectionName], catalog, [
+        ...windowClauses(countWindow),
+        ...extra,
+      ]);
+    let cancelled = false;
+    setDialogCounts(null);
+    Promise.all([
+      count(),
+      count(where("exportState", "==", EXPORT_STATES.EXPORTING)),
+      count(where("duplicateCheck.status", "==", DUPLICATE_STATUSES.HELD)),
+    ])
+      .then(([total, leased, held]) => {
+        if (!cancelled) setDialogCounts({ total, leased, held });
+      })
+      .catch((e) => setError("Failed to count records: " + e.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [showConfirmDialog, tabValue, filters, countWindow, catalog]);
 
-  /* -------------------------- Effects -------------------------- */
   useEffect(() => {
-    if (tabValue === 0) {
-      fetchNumbers();
-      fetchTotalNumbers();
-    } else if (tabValue === 1) {
-      fetchTransactions();
-      fetchTotalTransactions();
-    } else if (tabValue === 2) {
-      fetchUssdTransactions();
-      fetchTotalUssd();
-    }
-  }, [tabValue]);
+    if (tabValue === TABS.DUPLICATES) loadDuplicates();
+  }, [tabValue, loadDuplicates]);
+
+  // Finish or release exports left half-done by a closed tab or a crash
+  useEffect(() => {
+    if (!allowExport) return;
+    Promise.all(
+      COLLECTIONS.map((name) => recoverStuckExports(name, batchSize))
+    ).catch((e) =>
+      setError("Failed to recover unfinished exports: " + e.message)
+    );
+  }, [allowExport]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  useEffect(() => {
+    loadBundles();
+  }, [loadBundles]);
+
+  // Analytics follow the chosen range and catalog changes
+  useEffect(() => {
+    if (tabValue === TABS.ANALYTICS) loadAnalytics(analyticsRange);
+  }, [tabValue, analyticsRange, loadAnalytics]);
+
+  useEffect(() => {
+    if (tabValue === TABS.RECONCILIATION) loadReconciliation(reconRange);
+  }, [tabValue, reconRange, loadReconciliation]);
+
+  useEffect(() => {
+    if (tabValue === TABS.BUNDLES && isAdmin(role)) loadUnknownBundles();
+  }, [tabValue, role, loadUnknownBundles]);
+
+  useEffect(() => {
+    fetchOverview();
+    const t = setInterval(fetchOverview, OVERVIEW_REFRESH_MS);
+    return () => clearInterval(t);
+  }, [fetchOverview]);
 
   useEffect(() => {
     if (error) {
@@ -410,6 +900,22 @@ const Dashboard = () => {
   }, [error]);
 
   /* -------------------------- Render -------------------------- */
+  const confirmCollection = showConfirmDialog
+    ? SOURCE_LIST[tabValue].collectionName
+    : null;
+  const exportCount = dialogCounts
+    ? Math.max(0, dialogCounts.total - dialogCounts.leased - dialogCounts.held)
+    : 0;
+  const confirmPending = !dialogCounts;
+  const confirmSplitKeys = confirmCollection
+    ? splitKeysOf(confirmCollection)
+    : [];
+  const confirmOptions = resolveSplit(confirmSplitKeys, exportOptions);
+  const partsDelivery =
+    exportOptions.layout === EXPORT_LAYOUTS.ZIP
+      ? "in one zip archive"
+      : "downloaded one after another";
+
   return (
     <div className="w-full max-w-7xl mx-auto p-4 sm:p-6 lg:p-8 min-h-screen bg-gray-100">
       {/* Confirm Dialog */}
@@ -419,17 +925,79 @@ const Dashboard = () => {
             <h3 className="text-lg font-semibold text-gray-800 mb-4">
               Confirm Export
             </h3>
+            <ExportWindowPicker
+              options={exportOptions}
+              onChange={setExportOptions}
+            />
+            <ExportTemplatePicker
+              templates={templates.filter(
+                (t) => t.collection === confirmCollection
+              )}
+              options={exportOptions}
+              onChange={setExportOptions}
+            />
+            <ExportFormatPicker
+              options={exportOptions}
+              onChange={setExportOptions}
+            />
+            <ExportSplitPicker
+              keys={confirmSplitKeys}
+              options={exportOptions}
+              onChange={setExportOptions}
+            />
+            {!splitsIntoSheets(confirmOptions) && (
+              <ExportLayoutPicker
+                options={exportOptions}
+                onChange={setExportOptions}
+              />
+            )}
             <p className="text-gray-600 mb-6">
-              Export <strong>{recordCount}</strong>{" "}
-              {tabValue === 0
-                ? "numbers"
-                : tabValue === 1
-                ? "transactions"
-                : "USSD transactions"}
+              Export up to <strong>{confirmPending ? "…" : exportCount}</strong>{" "}
+              {SOURCES[confirmCollection].noun}
+              {hasActiveFilters(filters[confirmCollection]) &&
+                " matching the current filters"}
               ?
-              {recordCount >= maxExportRecords &&
-                ` Only first ${maxExportRecords} will be processed.`}
+              {exportOptions.layout !== EXPORT_LAYOUTS.SINGLE &&
+                !splitsIntoSheets(confirmOptions) &&
+                exportCount > 0 &&
+                (confirmOptions.splitBy
+                  ? ` Each group is written as files of up to ${exportOptions.rowsPerFile} rows, ${partsDelivery}.`
+                  : ` That is ${Math.ceil(
+                      exportCount / exportOptions.rowsPerFile
+                    )} file(s) of up to ${
+                      exportOptions.rowsPerFile
+                    } rows ${partsDelivery}.`)}
+            </p>
+            {!confirmPending && dialogCounts.leased > 0 && (
+              <p className="mb-4 text-sm text-gray-600">
+                {dialogCounts.leased} record(s) are leased to an unfinished
+                export and will stay in the queue while it runs.
+              </p>
+            )}
+            {!confirmPending && dialogCounts.held > 0 && (
+              <p className="mb-4 text-sm text-gray-600">
+                {dialogCounts.held} record(s) held as duplicates will stay in
+                the queue.
+              </p>
+            )}
+            <p className="mb-4 text-sm text-gray-600">
+              Prices, phone numbers, networks, bundle sizes and duplicates are
+              checked when the export has read the records; you are asked before
+              anything they turn up goes out.
             </p>
+            <label className="flex items-center gap-2 mb-6 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={exportOptions.includeInvalid}
+                onChange={(e) =>
+                  setExportOptions({
+                    ...exportOptions,
+                    includeInvalid: e.target.checked,
+                  })
+                }
+              />
+              Include records with invalid phone numbers
+            </label>
             <div className="flex justify-end space-x-4">
               <button
                 onClick={closeConfirmDialog}
@@ -439,7 +1007,12 @@ const Dashboard = () => {
               </button>
               <button
                 onClick={confirmDownload}
-                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                disabled={confirmPending || exportCount === 0}
+                className={`px-4 py-2 rounded-lg ${
+                  confirmPending || exportCount === 0
+                    ? "bg-gray-300 text-gray-500"
+                    : "bg-blue-600 text-white hover:bg-blue-700"
+                }`}
               >
                 Confirm
               </button>
@@ -448,65 +1021,166 @@ const Dashboard = () => {
         </div>
       )}
 
+      {progress && <ExportProgress progress={progress} />}
+
+      {/* Overview */}
+      <OverviewPanel
+        channels={SOURCE_LIST.map((source, tabIndex) => ({
+          ...source,
+          tabIndex,
+          count: live[source.collectionName].count,
+          bundled: hasBundles(source.collectionName),
+          gb: volumes[source.collectionName]?.gb ?? null,
+          amount: source.sumField
+            ? live[source.collectionName].sum
+            : volumes[source.collectionName]?.amount ?? null,
+          ...overview[source.collectionName],
+        }))}
+        loading={overviewLoading}
+        updatedAt={overviewUpdatedAt}
+        volumesLoading={volumesLoading}
+        onLoadVolumes={handleLoadVolumes}
+        onOpenTab={handleTabChange}
+        onRefresh={fetchOverview}
+      />
+
       {/* Tabs */}
       <div className="flex flex-wrap border-b border-gray-300 bg-white rounded-lg shadow-sm mb-6">
-        {["Numbers", "Website Transactions", "USSD Transactions"].map(
-          (label, i) => (
-            <button
-              key={i}
-              className={`flex-1 px-4 py-3 text-sm font-semibold transition-colors duration-200 sm:text-base ${
-                tabValue === i
-                  ? "border-b-4 border-blue-600 text-blue-600 bg-blue-50"
-                  : "text-gray-600 hover:text-blue-600 hover:bg-gray-50"
-              }`}
-              onClick={() => handleTabChange(i)}
-            >
-              {label}
-            </button>
-          )
-        )}
+        {[
+          ...SOURCE_LIST.map((source) => [
+            source.label,
+            live[source.collectionName],
+          ]),
+          ["Export History", null],
+          ["Duplicates", null],
+          ["Analytics", null],
+          ["Reconciliation", null],
+          ...(isAdmin(role)
+            ? [
+                ["Export Templates", null],
+                ["Bundle Catalog", null],
+              ]
+            : []),
+        ].map(([label, queue], i) => (
+          <button
+            key={i}
+            className={`flex-1 px-4 py-3 text-sm font-semibold transition-colors duration-200 sm:text-base ${
+              tabValue === i
+                ? "border-b-4 border-blue-600 text-blue-600 bg-blue-50"
+                : "text-gray-600 hover:text-blue-600 hover:bg-gray-50"
+            }`}
+            onClick={() => handleTabChange(i)}
+          >
+            {label}
+            {queue && (
+              <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 text-xs">
+                {queue.count}
+              </span>
+            )}
+          </button>
+        ))}
       </div>
 
       {/* Tab Content */}
-      {tabValue === 0 && (
-        <NumbersTab
-          numbers={numbers}
-          totalNumbers={totalNumbers}
-          numbersPage={numbersPage}
-          hasMoreNumbers={hasMoreNumbers}
-          loading={loading}
+      {activeSource && (
+        <SourceTab
+          source={SOURCES[activeSource]}
+          catalog={catalog}
+          live={live[activeSource]}
+          pager={sourcePager}
+          loading={loading || sourcePager.loading}
+          error={error}
+          canExport={allowExport}
+          filters={activeFilters}
+          matchCount={matchCounts[activeSource] ?? null}
+          onApplyFilters={(next) => handleApplyFilters(activeSource, next)}
+          onShowNew={() => handleShowNew(activeSource)}
+          onDownload={() => openConfirmDialog(activeSource)}
+          onApprovePrice={(row) => handleApprovePrice(activeSource, row)}
+          onCorrectNetworks={() => handleCorrectNetworks(activeSource)}
+        />
+      )}
+
+      {tabValue === TABS.HISTORY && (
+        <ExportHistoryTab
+          batches={historyPager.items}
+          historyPage={historyPager.page}
+          hasMoreHistory={historyPager.hasMore}
+          pageSize={historyPager.pageSize}
+          loading={loading || historyPager.loading}
+          error={error}
+          onPrevPage={historyPager.prevPage}
+          onNextPage={historyPager.nextPage}
+          onPageSizeChange={historyPager.setPageSize}
+          canRedownload={allowExport}
+          canReopen={isAdmin(role)}
+          onRedownload={handleRedownloadBatch}
+          onReopen={handleReopenBatch}
+        />
+      )}
+
+      {tabValue === TABS.DUPLICATES && (
+        <DuplicatesTab
+          channel={duplicatesChannel}
+          groups={duplicates.groups}
+          held={duplicates.records.filter((r) => isHeld(r.data))}
+          loading={duplicatesLoading}
+          error={error}
+          canReview={allowExport}
+          onChannelChange={setDuplicatesChannel}
+          onRefresh={loadDuplicates}
+          onHold={(records) =>
+            handleDuplicateStatus(records, DUPLICATE_STATUSES.HELD)
+          }
+          onDismiss={(records) =>
+            handleDuplicateStatus(records, DUPLICATE_STATUSES.DISMISSED)
+          }
+        />
+      )}
+
+      {tabValue === TABS.BUNDLES && isAdmin(role) && (
+        <BundlesTab
+          bundles={bundles}
+          unknown={unknown}
+          loading={bundlesLoading}
+          error={error}
+          onSave={handleSaveBundle}
+          onDelete={handleDeleteBundle}
+          onRefreshUnknown={loadUnknownBundles}
+        />
+      )}
+
+      {tabValue === TABS.ANALYTICS && (
+        <AnalyticsTab
+          rows={analyticsRows}
+          range={analyticsRange}
+          loading={analyticsLoading}
           error={error}
-          onPrevPage={handlePrevPage}
-          onNextPage={handleNextPage}
-          onDownload={() => openConfirmDialog(handleDownloadNumbers)}
+          onLoad={setAnalyticsRange}
+          onExport={handleExportAnalytics}
         />
       )}
 
-      {tabValue === 1 && (
-        <WebsiteTransactionsTab
-          transactions={transactions}
-          totalTransactions={totalTransactions}
-          transactionsPage={transactionsPage}
-          hasMoreTransactions={hasMoreTransactions}
-          loading={loading}
+      {tabValue === TABS.RECONCILIATION && (
+        <ReconciliationTab
+          items={reconItems}
+          resolutions={resolutions}
+          range={reconRange}
+          loading={reconLoading}
           error={error}
-          onPrevPage={handlePrevPage}
-          onNextPage={handleNextPage}
-          onDownload={() => openConfirmDialog(handleDownloadTransactions)}
+          canResolve={allowExport}
+          onLoad={setReconRange}
+          onResolve={handleResolveItem}
         />
       )}
 
-      {tabValue === 2 && (
-        <UssdTransactionsTab
-          ussdTransactions={ussdTransactions}
-          totalUssd={totalUssd}
-          ussdPage={ussdPage}
-          hasMoreUssd={hasMoreUssd}
-          loading={loading}
+      {tabValue === TABS.TEMPLATES && isAdmin(role) && (
+        <TemplatesTab
+          templates={templates}
+          loading={templatesLoading}
           error={error}
-          onPrevPage={handlePrevPage}
-          onNextPage={handleNextPage}
-          onDownload={() => openConfirmDialog(handleDownloadUssd)}
+          onSave={handleSaveTemplate}
+          onDelete={handleDeleteTemplate}
         />
       )}
     </div>
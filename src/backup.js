@@ -12,6 +12,7 @@ import {
 } from "firebase/firestore";
 import { db } from "./firebase"; // Import Firestore instance from your firebase config
 import * as XLSX from "xlsx";
+import { formatPhoneNumber } from "./utils/phone";
 
 // --- Constants ---
 const TRANSACTION_COLLECTION = "data_approve_teller_transaction";
@@ -30,17 +31,6 @@ const extractGB = (desc) => {
   return match ? match[1].toUpperCase() : "N/A";
 };
 
-// Utility to format phone number
-const formatPhoneNumber = (number) => {
-  if (!number) return "N/A";
-  // Convert to string and remove leading '233'
-  const cleanedNumber = String(number).replace(/^233/, "");
-  // Prepend '0' if it's a 9-digit number after cleaning
-  return cleanedNumber.length === 9
-    ? `0${cleanedNumber}`
-    : cleanedNumber || "N/A";
-};
-
 // Utility to download data as Excel
 const downloadExcel = (data, fileName, headers) => {
   const worksheet = XLSX.utils.json_to_sheet(data, { header: headers });
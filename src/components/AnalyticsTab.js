@@ -0,0 +1,180 @@
+// components/AnalyticsTab.jsx
+import React, { useState } from "react";
+import LineChart from "./LineChart";
+import BarChart from "./BarChart";
+import ExportFormatPicker from "./ExportFormatPicker";
+import {
+  METRICS,
+  METRIC_LABELS,
+  dailySeries,
+  totalsBy,
+  topBundles,
+  ANALYTICS_COLUMNS,
+} from "../utils/analytics";
+import { DEFAULT_FORMAT_OPTIONS } from "../utils/exportFiles";
+
+const inputClass =
+  "mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white";
+
+const FORMATTERS = {
+  [METRICS.ORDERS]: (v) => String(Math.round(v)),
+  [METRICS.GB]: (v) => `${Number(v.toFixed(2))} GB`,
+  [METRICS.AMOUNT]: (v) => `GH₵${v.toFixed(2)}`,
+};
+
+const AnalyticsTab = ({ rows, range, loading, error, onLoad, onExport }) => {
+  const [draft, setDraft] = useState(range);
+  const [metric, setMetric] = useState(METRICS.ORDERS);
+  const [formatOptions, setFormatOptions] = useState(DEFAULT_FORMAT_OPTIONS);
+  const format = FORMATTERS[metric];
+
+  const { days, series } = dailySeries(rows, metric, range.from, range.to);
+  const totals = (key) => totalsBy(rows, key, metric);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (draft.from && draft.to && draft.from <= draft.to) onLoad(draft);
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-800">
+          Sales Analytics
+        </h2>
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end mb-6 p-4 bg-white rounded-lg shadow-md text-sm text-gray-700 text-left"
+      >
+        <label>
+          From
+          <input
+            type="date"
+            value={draft.from}
+            onChange={(e) => setDraft({ ...draft, from: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            value={draft.to}
+            onChange={(e) => setDraft({ ...draft, to: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label>
+          Measure
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className={inputClass}
+          >
+            {Object.values(METRICS).map((m) => (
+              <option key={m} value={m}>
+                {METRIC_LABELS[m]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+        >
+          Load
+        </button>
+      </form>
+
+      {loading && (
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {error && <p className="text-center text-red-500">{error}</p>}
+
+      {!loading && (
+        <>
+          <div className="p-4 mb-6 bg-white rounded-lg shadow-md text-left">
+            <h3 className="font-semibold text-gray-800 mb-2">
+              {METRIC_LABELS[metric]} per day, {range.from} to {range.to}
+            </h3>
+            <LineChart labels={days} series={series} format={format} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            {[
+              ["By channel", "channel"],
+              ["By network", "network"],
+              ["By bundle size", "bundle"],
+            ].map(([title, key]) => (
+              <div
+                key={key}
+                className="p-4 bg-white rounded-lg shadow-md text-left"
+              >
+                <h3 className="font-semibold text-gray-800 mb-2">{title}</h3>
+                <BarChart bars={totals(key)} format={format} />
+              </div>
+            ))}
+          </div>
+
+          <div className="p-4 mb-6 bg-white rounded-lg shadow-md text-left overflow-x-auto">
+            <h3 className="font-semibold text-gray-800 mb-2">Top bundles</h3>
+            <table className="w-full text-sm text-gray-700">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-1">Bundle</th>
+                  <th className="py-1">Orders</th>
+                  <th className="py-1">GB</th>
+                  <th className="py-1">GH₵</th>
+                </tr>
+              </thead>
+              <tbody>
+                {topBundles(rows).map((b) => (
+                  <tr key={b.bundle} className="border-b border-gray-100">
+                    <td className="py-1">{b.bundle}</td>
+                    <td className="py-1">{b.orders}</td>
+                    <td className="py-1">{FORMATTERS[METRICS.GB](b.gb)}</td>
+                    <td className="py-1">
+                      {FORMATTERS[METRICS.AMOUNT](b.amount)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="p-4 bg-white rounded-lg shadow-md text-left">
+            <h3 className="font-semibold text-gray-800 mb-2">
+              Underlying table ({rows.length} rows)
+            </h3>
+            <p className="text-sm text-gray-600 mb-3">
+              One row per day, channel, network and bundle size:{" "}
+              {ANALYTICS_COLUMNS.headers.join(", ")}.
+            </p>
+            <ExportFormatPicker
+              options={formatOptions}
+              onChange={setFormatOptions}
+            />
+            <button
+              onClick={() => onExport(formatOptions)}
+              disabled={rows.length === 0}
+              className={`px-4 py-2 rounded-lg ${
+                rows.length === 0
+                  ? "bg-gray-300 text-gray-500"
+                  : "bg-blue-600 text-white hover:bg-blue-700"
+              }`}
+            >
+              Export table
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsTab;
@@ -0,0 +1,30 @@
+// components/BarChart.jsx
+import React from "react";
+
+// Horizontal bars scaled to the largest value; `format` renders values
+const BarChart = ({ bars, format = String }) => {
+  const max = Math.max(1, ...bars.map((b) => b.value));
+  if (bars.length === 0) {
+    return <p className="text-sm text-gray-500">Nothing sold in this range.</p>;
+  }
+  return (
+    <div className="space-y-2">
+      {bars.map((bar) => (
+        <div key={bar.label} className="text-sm text-gray-700">
+          <div className="flex justify-between">
+            <span>{bar.label}</span>
+            <span className="font-semibold">{format(bar.value)}</span>
+          </div>
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-2 bg-blue-600"
+              style={{ width: `${(bar.value / max) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,32 @@
+// components/BundleSize.jsx
+import React from "react";
+import { formatSize } from "../utils/bundleCatalog";
+import { resolveBundle, statedSizeMb } from "../utils/sources";
+
+// A record's data size from the bundle catalog. Bundles the catalog does not
+// know show the size the record states, or "Unknown bundle", highlighted.
+const BundleSize = ({ collectionName, row, catalog }) => {
+  const bundle = resolveBundle(collectionName, row, catalog);
+  if (bundle) return formatSize(bundle.sizeMb);
+  const stated = statedSizeMb(collectionName, row);
+  if (stated != null) {
+    return (
+      <span
+        title="Read from the record; not in the bundle catalog, an admin can add it"
+        className="px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 text-xs font-semibold"
+      >
+        {formatSize(stated)}
+      </span>
+    );
+  }
+  return (
+    <span
+      title="Not in the bundle catalog; an admin can add it"
+      className="px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-xs font-semibold"
+    >
+      Unknown bundle
+    </span>
+  );
+};
+
+export default BundleSize;
@@ -0,0 +1,359 @@
+// components/BundlesTab.jsx
+import React, { useState } from "react";
+import {
+  MB_PER_GB,
+  newBundle,
+  bundleProblem,
+  formatSize,
+} from "../utils/bundleCatalog";
+import { NETWORKS } from "../utils/phone";
+import { SOURCE_LABELS } from "../utils/sources";
+
+const inputClass =
+  "mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white";
+
+const splitList = (text, separator) =>
+  text
+    .split(separator)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// The editor works on text; sizes are entered in GB or MB and stored in MB
+const toForm = (bundle) => {
+  const inGb = !bundle.sizeMb || bundle.sizeMb % MB_PER_GB === 0;
+  return {
+    name: bundle.name,
+    size: bundle.sizeMb
+      ? String(inGb ? bundle.sizeMb / MB_PER_GB : bundle.sizeMb)
+      : "",
+    unit: inGb ? "GB" : "MB",
+    serviceNames: bundle.serviceNames.join("\n"),
+    gigValues: bundle.gigValues.join(", "),
+    prices: bundle.prices.join(", "),
+    networkPrices: Object.fromEntries(
+      Object.values(NETWORKS).map((network) => [
+        network,
+        bundle.networkPrices[network] == null
+          ? ""
+          : String(bundle.networkPrices[network]),
+      ])
+    ),
+  };
+};
+
+const fromForm = (form, id) => ({
+  ...(id ? { id } : {}),
+  name: form.name.trim(),
+  sizeMb: Math.round(Number(form.size) * (form.unit === "GB" ? MB_PER_GB : 1)),
+  serviceNames: splitList(form.serviceNames, "\n"),
+  gigValues: splitList(form.gigValues, ","),
+  prices: splitList(form.prices, ",")
+    .map(Number)
+    .filter((p) => !Number.isNaN(p)),
+  networkPrices: Object.fromEntries(
+    Object.entries(form.networkPrices)
+      .filter(([, price]) => price.trim() !== "")
+      .map(([network, price]) => [network, Number(price)])
+  ),
+});
+
+const BundleEditor = ({ initial, others, onSave, onCancel }) => {
+  const [form, setForm] = useState(toForm(initial));
+  const [problem, setProblem] = useState(null);
+
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const setPrice = (network) => (e) =>
+    setForm({
+      ...form,
+      networkPrices: { ...form.networkPrices, [network]: e.target.value },
+    });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const bundle = fromForm(form, initial.id);
+    const issue = bundleProblem(bundle, others);
+    setProblem(issue);
+    if (!issue) onSave(bundle);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="p-4 bg-white rounded-lg shadow-md text-left mb-6"
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm text-gray-700">
+        <label>
+          Name
+          <input
+            type="text"
+            value={form.name}
+            onChange={set("name")}
+            placeholder="e.g. MTN 5GB"
+            className={inputClass}
+          />
+        </label>
+        <label>
+          Data size
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.size}
+              onChange={set("size")}
+              className={inputClass}
+            />
+            <select
+              value={form.unit}
+              onChange={set("unit")}
+              className="mt-1 px-2 py-1 border border-gray-300 rounded-lg bg-white"
+            >
+              <option value="GB">GB</option>
+              <option value="MB">MB</option>
+            </select>
+          </div>
+        </label>
+        <label>
+          Website service names (one per line)
+          <textarea
+            rows={3}
+            value={form.serviceNames}
+            onChange={set("serviceNames")}
+            className={inputClass}
+          />
+        </label>
+        <label>
+          USSD gig values (comma separated)
+          <input
+            type="text"
+            value={form.gigValues}
+            onChange={set("gigValues")}
+            className={inputClass}
+          />
+          <span className="block mt-3">Prices in GH₵ (comma separated)</span>
+          <input
+            type="text"
+            value={form.prices}
+            onChange={set("prices")}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <h4 className="font-semibold text-gray-800 mt-4 mb-2">
+        List price per network (GH₵)
+      </h4>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm text-gray-700">
+        {Object.values(NETWORKS).map((network) => (
+          <label key={network}>
+            {network}
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.networkPrices[network]}
+              onChange={setPrice(network)}
+              placeholder="Not sold"
+              className={inputClass}
+            />
+          </label>
+        ))}
+      </div>
+
+      {problem && <p className="mt-3 text-sm text-red-500">{problem}</p>}
+
+      <div className="flex justify-end gap-2 mt-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+        >
+          Save bundle
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const BundlesTab = ({
+  bundles,
+  unknown,
+  loading,
+  error,
+  onSave,
+  onDelete,
+  onRefreshUnknown,
+}) => {
+  const [editing, setEditing] = useState(null);
+
+  const handleSave = async (bundle) => {
+    if (await onSave(bundle)) setEditing(null);
+  };
+
+  // Seeds the editor from a record the catalog did not recognise
+  const addUnknown = (item) =>
+    setEditing(
+      newBundle({
+        serviceNames: item.serviceName ? [item.serviceName] : [],
+        gigValues: item.gig != null ? [String(item.gig)] : [],
+        prices:
+          item.amount != null && item.amount !== ""
+            ? [Number(item.amount)]
+            : [],
+      })
+    );
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-800">
+          Bundle Catalog
+        </h2>
+        {!editing && (
+          <button
+            onClick={() => setEditing(newBundle())}
+            className="mt-2 sm:mt-0 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm sm:text-base shadow-md"
+          >
+            New bundle
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Every data size shown or exported is looked up here, by website service
+        name, USSD gig value or, failing those, a price only one bundle has.
+        Orders that do not pay the list price for their number's network are
+        held out of exports until an exporter approves them.
+      </p>
+
+      {editing && (
+        <BundleEditor
+          key={editing.id || "new"}
+          initial={editing}
+          others={bundles.filter((b) => b.id !== editing.id)}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {loading && (
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {error && <p className="text-center text-red-500">{error}</p>}
+
+      {!loading && unknown.length > 0 && (
+        <div className="p-4 mb-6 bg-red-50 border border-red-200 rounded-lg text-left">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="font-semibold text-red-700">
+              Unknown bundles in the pending queues
+            </h3>
+            <button
+              onClick={onRefreshUnknown}
+              className="text-sm text-blue-600 hover:underline"
+            >
+              Refresh
+            </button>
+          </div>
+          {unknown.map((item) => (
+            <div
+              key={`${item.collection}|${item.serviceName ?? item.gig}`}
+              className="flex flex-wrap justify-between items-center gap-2 py-1 text-sm text-gray-700"
+            >
+              <span>
+                <span className="font-semibold">
+                  {SOURCE_LABELS[item.collection]}:
+                </span>{" "}
+                {"serviceName" in item
+                  ? item.serviceName || "(no service name)"
+                  : `gig ${item.gig ?? "(none)"}`}{" "}
+                · {item.count} record{item.count !== 1 ? "s" : ""}
+              </span>
+              {!editing && (
+                <button
+                  onClick={() => addUnknown(item)}
+                  className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-xs"
+                >
+                  Add to catalog
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!loading && bundles.length > 0 ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {bundles.map((bundle) => (
+            <div
+              key={bundle.id}
+              className="p-4 bg-white rounded-lg shadow-md hover:shadow-lg text-left"
+            >
+              <p className="font-medium text-gray-900">
+                {bundle.name} · {formatSize(bundle.sizeMb)}
+              </p>
+              {bundle.serviceNames.length > 0 && (
+                <p className="text-sm text-gray-600 mt-1">
+                  <span className="font-semibold">Service names:</span>{" "}
+                  {bundle.serviceNames.join(", ")}
+                </p>
+              )}
+              {bundle.gigValues.length > 0 && (
+                <p className="text-sm text-gray-600 mt-1">
+                  <span className="font-semibold">Gig values:</span>{" "}
+                  {bundle.gigValues.join(", ")}
+                </p>
+              )}
+              {bundle.prices.length > 0 && (
+                <p className="text-sm text-gray-600 mt-1">
+                  <span className="font-semibold">Prices:</span>{" "}
+                  {bundle.prices.map((p) => `GH₵${p}`).join(", ")}
+                </p>
+              )}
+              {Object.keys(bundle.networkPrices).length > 0 && (
+                <p className="text-sm text-gray-600 mt-1">
+                  <span className="font-semibold">List prices:</span>{" "}
+                  {Object.entries(bundle.networkPrices)
+                    .map(([network, price]) => `${network} GH₵${price}`)
+                    .join(", ")}
+                </p>
+              )}
+              <div className="flex gap-2 mt-3">
+                <button
+                  onClick={() => setEditing(bundle)}
+                  className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => onDelete(bundle)}
+                  className="px-3 py-1 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400 text-sm"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        !loading &&
+        !editing && (
+          <p className="text-gray-600 text-center text-lg">
+            The catalog is empty, so every bundle shows as unknown.
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default BundlesTab;
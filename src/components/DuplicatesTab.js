@@ -0,0 +1,195 @@
+// components/DuplicatesTab.jsx
+import React from "react";
+import { isHeld, isResolved } from "../utils/duplicates";
+import { formatPhoneNumber } from "../utils/phone";
+import { formatSize } from "../utils/bundleCatalog";
+import { SOURCE_LIST, SOURCE_LABELS, orderAmount } from "../utils/sources";
+
+const formatDate = (ts) => (ts?.toDate ? ts.toDate().toLocaleString() : "N/A");
+
+const RecordRow = ({ record, canReview, onHold, onDismiss }) => {
+  const { data } = record;
+  const held = isHeld(data);
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 py-2 border-t border-gray-100 text-sm text-gray-700">
+      <div>
+        <span className="font-semibold">
+          {SOURCE_LABELS[record.collection] || record.collection}
+        </span>{" "}
+        · {formatDate(data.createdAt)}
+        {data.amount != null &&
+          ` · GH₵${orderAmount(record.collection, data).toFixed(2)}`}
+        {data.externalRef && ` · Ref: ${data.externalRef}`}
+        {held && (
+          <span className="ml-2 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 text-xs font-semibold">
+            Held
+          </span>
+        )}
+      </div>
+      {canReview &&
+        (held ? (
+          <button
+            onClick={() => onDismiss([record])}
+            className="px-3 py-1 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400 text-xs"
+          >
+            Release
+          </button>
+        ) : (
+          <button
+            onClick={() => onHold([record])}
+            className="px-3 py-1 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 text-xs"
+          >
+            Hold
+          </button>
+        ))}
+    </div>
+  );
+};
+
+// Looks at one queue at a time, and at the other channels by that queue's
+// numbers, so the other queues are never read whole
+const DuplicatesTab = ({
+  channel,
+  groups,
+  held,
+  loading,
+  error,
+  canReview,
+  onChannelChange,
+  onRefresh,
+  onHold,
+  onDismiss,
+}) => {
+  // Held records whose group has gone, e.g. because the other order was
+  // exported, are listed on their own so they can still be released
+  const grouped = new Set(
+    groups.flatMap((g) => g.records.map((r) => `${r.collection}/${r.id}`))
+  );
+  const strayHeld = held.filter((r) => !grouped.has(`${r.collection}/${r.id}`));
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-800">
+          Possible Duplicates
+        </h2>
+        <div className="flex gap-2 mt-2 sm:mt-0">
+          <select
+            value={channel}
+            onChange={(e) => onChannelChange(e.target.value)}
+            className="px-2 py-2 border border-gray-300 rounded-lg bg-white text-sm sm:text-base"
+          >
+            {SOURCE_LIST.map((source) => (
+              <option key={source.collectionName} value={source.collectionName}>
+                {source.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={onRefresh}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm sm:text-base shadow-md"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Pending {SOURCE_LABELS[channel]} records for the same number and bundle
+        as another pending record placed within minutes of it. Orders are
+        compared across channels; teller payments, which pay for those orders,
+        only with their own queue. Held records are left out of exports; dismiss
+        a group when the orders are genuine.
+      </p>
+
+      {loading && (
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {error && <p className="text-center text-red-500">{error}</p>}
+
+      {!loading && groups.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {groups.map((group) => (
+            <div
+              key={group.key}
+              className="p-4 bg-white rounded-lg shadow-md hover:shadow-lg text-left"
+            >
+              <div className="flex justify-between items-start gap-2 mb-2">
+                <p className="font-medium text-gray-900">
+                  {formatPhoneNumber(group.number)}
+                  {group.sizeMb != null &&
+                    ` · ${formatSize(group.sizeMb)}`} · {group.records.length}{" "}
+                  records
+                </p>
+                {isResolved(group) && (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-800">
+                    Resolved
+                  </span>
+                )}
+              </div>
+              {group.records.map((record) => (
+                <RecordRow
+                  key={`${record.collection}/${record.id}`}
+                  record={record}
+                  canReview={canReview}
+                  onHold={onHold}
+                  onDismiss={onDismiss}
+                />
+              ))}
+              {canReview && (
+                <div className="flex gap-2 mt-3">
+                  {!isResolved(group) && (
+                    <button
+                      onClick={() =>
+                        onHold(
+                          group.records.slice(1).filter((r) => !isHeld(r.data))
+                        )
+                      }
+                      className="px-3 py-1 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 text-sm"
+                    >
+                      Hold all but the first
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onDismiss(group.records)}
+                    className="px-3 py-1 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400 text-sm"
+                  >
+                    Not duplicates
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!loading && strayHeld.length > 0 && (
+        <div className="mt-6 p-4 bg-white rounded-lg shadow-md text-left">
+          <h3 className="font-semibold text-gray-800 mb-1">
+            Other held records
+          </h3>
+          {strayHeld.map((record) => (
+            <RecordRow
+              key={`${record.collection}/${record.id}`}
+              record={record}
+              canReview={canReview}
+              onHold={onHold}
+              onDismiss={onDismiss}
+            />
+          ))}
+        </div>
+      )}
+
+      {!loading && groups.length === 0 && strayHeld.length === 0 && (
+        <p className="text-gray-600 text-center text-lg">
+          No possible duplicates in the pending queues.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DuplicatesTab;
@@ -0,0 +1,65 @@
+// components/ExportFormatPicker.jsx
+import React from "react";
+import {
+  EXPORT_FORMATS,
+  FORMAT_LABELS,
+  CSV_DELIMITERS,
+} from "../utils/exportFiles";
+
+const inputClass =
+  "mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white";
+
+const ExportFormatPicker = ({ options, onChange }) => {
+  const isCsv = options.format === EXPORT_FORMATS.CSV;
+
+  return (
+    <div className="grid grid-cols-2 gap-3 mb-4 text-sm text-gray-700 text-left">
+      <label className="col-span-2">
+        Format
+        <select
+          value={options.format}
+          onChange={(e) => onChange({ ...options, format: e.target.value })}
+          className={inputClass}
+        >
+          {Object.values(EXPORT_FORMATS).map((format) => (
+            <option key={format} value={format}>
+              {FORMAT_LABELS[format]}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {isCsv && (
+        <>
+          <label>
+            Delimiter
+            <select
+              value={options.delimiter}
+              onChange={(e) =>
+                onChange({ ...options, delimiter: e.target.value })
+              }
+              className={inputClass}
+            >
+              {Object.entries(CSV_DELIMITERS).map(([delimiter, label]) => (
+                <option key={label} value={delimiter}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-end pb-1">
+            <input
+              type="checkbox"
+              checked={options.bom}
+              onChange={(e) => onChange({ ...options, bom: e.target.checked })}
+              className="mr-2"
+            />
+            Add BOM (for Excel)
+          </label>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExportFormatPicker;
@@ -0,0 +1,151 @@
+// components/ExportHistoryTab.jsx
+import React from "react";
+import Pagination from "./Pagination";
+import { BATCH_STATUSES, batchStatus } from "../utils/exportLedger";
+import { SOURCE_LABELS } from "../utils/sources";
+
+const STATUS_STYLES = {
+  [BATCH_STATUSES.EXPORTING]: "bg-yellow-100 text-yellow-800",
+  [BATCH_STATUSES.EXPORTED]: "bg-green-100 text-green-800",
+  [BATCH_STATUSES.RELEASED]: "bg-gray-200 text-gray-700",
+};
+
+const formatDate = (ts) =>
+  ts?.toDate ? ts.toDate().toLocaleString() : "Pending…";
+
+const ExportHistoryTab = ({
+  batches,
+  historyPage,
+  hasMoreHistory,
+  pageSize,
+  loading,
+  error,
+  onPrevPage,
+  onNextPage,
+  onPageSizeChange,
+  canRedownload,
+  canReopen,
+  onRedownload,
+  onReopen,
+}) => {
+  return (
+    <div className="mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-800">
+          Export History
+        </h2>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Showing {batches.length} export{batches.length !== 1 ? "s" : ""} (Page{" "}
+        {historyPage}), newest first
+      </p>
+
+      {loading && (
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {error && <p className="text-center text-red-500">{error}</p>}
+
+      {!loading && !error && batches.length > 0 ? (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {batches.map((batch) => {
+              const status = batchStatus(batch);
+              const exported = status === BATCH_STATUSES.EXPORTED;
+              return (
+                <div
+                  key={batch.id}
+                  className="p-4 bg-white rounded-lg shadow-md hover:shadow-lg text-left"
+                >
+                  <div className="flex justify-between items-start gap-2">
+                    <p className="font-medium text-gray-900 truncate">
+                      {batch.fileName || "N/A"}
+                    </p>
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${STATUS_STYLES[status]}`}
+                    >
+                      {status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    <span className="font-semibold">Source:</span>{" "}
+                    {SOURCE_LABELS[batch.collection] || batch.collection}
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1">
+                    <span className="font-semibold">Rows:</span>{" "}
+                    {batch.rowCount ?? "N/A"}
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1">
+                    <span className="font-semibold">Operator:</span>{" "}
+                    {batch.operator?.name || batch.operator?.email || "N/A"}
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1">
+                    <span className="font-semibold">Exported:</span>{" "}
+                    {formatDate(batch.createdAt)}
+                  </p>
+                  {status === BATCH_STATUSES.RELEASED && (
+                    <p className="text-sm text-gray-500 mt-1">
+                      Not exported: {batch.releaseReason || "N/A"}
+                    </p>
+                  )}
+                  {batch.reopened && (
+                    <p className="text-sm text-orange-600 mt-1">
+                      Reopened by{" "}
+                      {batch.reopened.by?.name ||
+                        batch.reopened.by?.email ||
+                        "N/A"}{" "}
+                      on {formatDate(batch.reopened.at)}
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500 mt-2 truncate">
+                    Batch: {batch.id}
+                  </p>
+                  {exported && (canRedownload || canReopen) && (
+                    <div className="flex gap-2 mt-3">
+                      {canRedownload && (
+                        <button
+                          onClick={() => onRedownload(batch)}
+                          className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+                        >
+                          Re-download
+                        </button>
+                      )}
+                      {canReopen && !batch.reopened && (
+                        <button
+                          onClick={() => onReopen(batch)}
+                          className="px-3 py-1 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400 text-sm"
+                        >
+                          Reopen
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <Pagination
+            page={historyPage}
+            hasMore={hasMoreHistory}
+            pageSize={pageSize}
+            onPrevPage={onPrevPage}
+            onNextPage={onNextPage}
+            onPageSizeChange={onPageSizeChange}
+          />
+        </>
+      ) : (
+        !loading && (
+          <p className="text-gray-600 text-center text-lg">
+            No exports recorded yet.
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ExportHistoryTab;
@@ -0,0 +1,52 @@
+// components/ExportLayoutPicker.jsx
+import React from "react";
+import { EXPORT_LAYOUTS } from "../utils/exportFiles";
+
+const LAYOUT_LABELS = {
+  [EXPORT_LAYOUTS.SINGLE]: "One file",
+  [EXPORT_LAYOUTS.PARTS]: "Several files",
+  [EXPORT_LAYOUTS.ZIP]: "Zip archive of parts",
+};
+
+const ExportLayoutPicker = ({ options, onChange }) => {
+  return (
+    <div className="grid grid-cols-2 gap-3 mb-4 text-sm text-gray-700 text-left">
+      <label
+        className={options.layout === EXPORT_LAYOUTS.SINGLE ? "col-span-2" : ""}
+      >
+        Files
+        <select
+          value={options.layout}
+          onChange={(e) => onChange({ ...options, layout: e.target.value })}
+          className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white"
+        >
+          {Object.values(EXPORT_LAYOUTS).map((layout) => (
+            <option key={layout} value={layout}>
+              {LAYOUT_LABELS[layout]}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {options.layout !== EXPORT_LAYOUTS.SINGLE && (
+        <label>
+          Rows per file
+          <input
+            type="number"
+            min="1"
+            value={options.rowsPerFile}
+            onChange={(e) =>
+              onChange({
+                ...options,
+                rowsPerFile: Math.max(1, Number(e.target.value) || 1),
+              })
+            }
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white"
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default ExportLayoutPicker;
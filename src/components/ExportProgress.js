@@ -0,0 +1,40 @@
+// components/ExportProgress.jsx
+import React from "react";
+
+const PHASE_LABELS = {
+  reading: "Reading records",
+  checking: "Checking for duplicates",
+  claiming: "Reserving records",
+  writing: "Writing file",
+  finalizing: "Marking records exported",
+};
+
+const ExportProgress = ({ progress }) => {
+  const { phase, done, total } = progress;
+  const percent = total ? Math.round((done / total) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4 text-left">
+        <h3 className="text-lg font-semibold text-gray-800 mb-1">Exporting…</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {PHASE_LABELS[phase] || phase}
+          {total ? ` (${done} of ${total})` : ` (${done})`}
+        </p>
+        <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className={`h-3 bg-blue-600 transition-all duration-200 ${
+              total ? "" : "animate-pulse"
+            }`}
+            style={{ width: `${total ? percent : 100}%` }}
+          />
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          Keep this tab open until the export finishes.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ExportProgress;
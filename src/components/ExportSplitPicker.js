@@ -0,0 +1,66 @@
+// components/ExportSplitPicker.jsx
+import React from "react";
+import {
+  SPLIT_KEYS,
+  SPLIT_MODES,
+  canSplitIntoSheets,
+} from "../utils/exportFiles";
+
+const SPLIT_LABELS = {
+  [SPLIT_KEYS.NONE]: "Don't split",
+  [SPLIT_KEYS.NETWORK]: "By network provider",
+  [SPLIT_KEYS.GB]: "By GB size",
+  [SPLIT_KEYS.BOTH]: "By network and GB size",
+};
+
+const inputClass =
+  "mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white";
+
+// `keys` are what the queue being exported can be split by
+const ExportSplitPicker = ({ keys, options, onChange }) => {
+  if (keys.length === 0) return null;
+
+  const splitBy = keys.includes(options.splitBy)
+    ? options.splitBy
+    : SPLIT_KEYS.NONE;
+  const sheetsAllowed = canSplitIntoSheets(options);
+
+  return (
+    <div className="grid grid-cols-2 gap-3 mb-4 text-sm text-gray-700 text-left">
+      <label className={splitBy ? "" : "col-span-2"}>
+        Split
+        <select
+          value={splitBy}
+          onChange={(e) => onChange({ ...options, splitBy: e.target.value })}
+          className={inputClass}
+        >
+          {[SPLIT_KEYS.NONE, ...keys].map((key) => (
+            <option key={key} value={key}>
+              {SPLIT_LABELS[key]}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {splitBy && (
+        <label>
+          Groups as
+          <select
+            value={sheetsAllowed ? options.splitMode : SPLIT_MODES.FILES}
+            onChange={(e) =>
+              onChange({ ...options, splitMode: e.target.value })
+            }
+            className={inputClass}
+          >
+            {sheetsAllowed && (
+              <option value={SPLIT_MODES.SHEETS}>Sheets in one workbook</option>
+            )}
+            <option value={SPLIT_MODES.FILES}>Separate files</option>
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default ExportSplitPicker;
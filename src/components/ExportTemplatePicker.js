@@ -0,0 +1,31 @@
+// components/ExportTemplatePicker.jsx
+import React from "react";
+
+// `templates` are the ones saved for the queue being exported
+const ExportTemplatePicker = ({ templates, options, onChange }) => {
+  if (templates.length === 0) return null;
+
+  const templateId = templates.some((t) => t.id === options.templateId)
+    ? options.templateId
+    : "";
+
+  return (
+    <label className="block mb-4 text-sm text-gray-700 text-left">
+      Template
+      <select
+        value={templateId}
+        onChange={(e) => onChange({ ...options, templateId: e.target.value })}
+        className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white"
+      >
+        <option value="">Built-in columns</option>
+        {templates.map((t) => (
+          <option key={t.id} value={t.id}>
+            {t.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ExportTemplatePicker;
@@ -0,0 +1,78 @@
+// components/ExportWindowPicker.jsx
+import React from "react";
+import { EXPORT_WINDOWS, WINDOW_LABELS } from "../utils/exportWindow";
+
+const inputClass =
+  "mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white";
+
+const ExportWindowPicker = ({ options, onChange }) => {
+  const set = (key) => (e) => onChange({ ...options, [key]: e.target.value });
+
+  return (
+    <div className="grid grid-cols-1 gap-3 mb-4 text-sm text-gray-700 text-left">
+      <label>
+        Time window
+        <select
+          value={options.window}
+          onChange={set("window")}
+          className={inputClass}
+        >
+          {Object.values(EXPORT_WINDOWS).map((w) => (
+            <option key={w} value={w}>
+              {WINDOW_LABELS[w]}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {options.window === EXPORT_WINDOWS.BEFORE_CUTOFF && (
+        <label>
+          Cutoff time
+          <input
+            type="time"
+            value={options.cutoff}
+            onChange={set("cutoff")}
+            className={inputClass}
+          />
+        </label>
+      )}
+
+      {options.window === EXPORT_WINDOWS.CUSTOM && (
+        <div className="grid grid-cols-2 gap-3">
+          <label>
+            From
+            <input
+              type="datetime-local"
+              value={options.from}
+              onChange={set("from")}
+              className={inputClass}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="datetime-local"
+              value={options.to}
+              onChange={set("to")}
+              className={inputClass}
+            />
+          </label>
+        </div>
+      )}
+
+      <label>
+        Order
+        <select
+          value={options.order}
+          onChange={set("order")}
+          className={inputClass}
+        >
+          <option value="asc">Oldest first</option>
+          <option value="desc">Newest first</option>
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default ExportWindowPicker;
@@ -0,0 +1,154 @@
+// components/FilterBar.jsx
+import React, { useState, useEffect } from "react";
+import { EMPTY_FILTERS, hasActiveFilters } from "../utils/filters";
+import { NETWORKS } from "../utils/phone";
+
+const inputClass =
+  "mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white";
+
+// `fields` is the queue's entry in FILTER_FIELDS; filters without a field are
+// left out. Networks are matched on the declared network, or the number's
+// prefix where there is none. Nothing is queried until the operator presses
+// Apply.
+const FilterBar = ({ fields, filters, onApply }) => {
+  const [draft, setDraft] = useState(filters);
+
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
+
+  const set = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mb-4 p-4 bg-white rounded-lg shadow-sm text-left"
+    >
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm text-gray-700">
+        <label className="col-span-2 sm:col-span-1">
+          Phone number
+          <input
+            type="search"
+            value={draft.phone}
+            onChange={set("phone")}
+            placeholder="024…, 23324… or +23324…"
+            className={inputClass}
+          />
+        </label>
+
+        <label>
+          Network
+          <select
+            value={draft.network}
+            onChange={set("network")}
+            className={inputClass}
+          >
+            <option value="">Any</option>
+            {Object.values(NETWORKS).map((network) => (
+              <option key={network} value={network}>
+                {network}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {fields.gb && (
+          <label>
+            GB
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.gb}
+              onChange={set("gb")}
+              className={inputClass}
+            />
+          </label>
+        )}
+
+        {fields.amount && (
+          <>
+            <label>
+              Min amount (GH₵)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={draft.minAmount}
+                onChange={set("minAmount")}
+                className={inputClass}
+              />
+            </label>
+            <label>
+              Max amount (GH₵)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={draft.maxAmount}
+                onChange={set("maxAmount")}
+                className={inputClass}
+              />
+            </label>
+          </>
+        )}
+
+        {fields.externalRef && (
+          <label>
+            Reference
+            <input
+              type="search"
+              value={draft.externalRef}
+              onChange={set("externalRef")}
+              className={inputClass}
+            />
+          </label>
+        )}
+
+        <label>
+          Created from
+          <input
+            type="date"
+            value={draft.from}
+            onChange={set("from")}
+            className={inputClass}
+          />
+        </label>
+        <label>
+          Created to
+          <input
+            type="date"
+            value={draft.to}
+            onChange={set("to")}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-2 mt-3">
+        {hasActiveFilters(filters) && (
+          <button
+            type="button"
+            onClick={() => onApply(EMPTY_FILTERS)}
+            className="px-3 py-1 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400 text-sm"
+          >
+            Clear
+          </button>
+        )}
+        <button
+          type="submit"
+          className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+        >
+          Apply
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default FilterBar;
@@ -0,0 +1,19 @@
+// components/InvalidPhoneBadge.jsx
+import React from "react";
+import { parsePhone } from "../utils/phone";
+
+// Renders nothing for a valid number
+const InvalidPhoneBadge = ({ number }) => {
+  const { valid, problem } = parsePhone(number);
+  if (valid) return null;
+  return (
+    <span
+      title="Left out of exports unless an operator includes it"
+      className="inline-block mt-1 px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-xs font-semibold"
+    >
+      Invalid number: {problem}
+    </span>
+  );
+};
+
+export default InvalidPhoneBadge;
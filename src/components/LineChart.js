@@ -0,0 +1,83 @@
+// components/LineChart.jsx
+import React from "react";
+
+const COLORS = ["#2563eb", "#16a34a", "#ea580c", "#9333ea"];
+const WIDTH = 600;
+const HEIGHT = 220;
+const PAD = { top: 10, right: 10, bottom: 24, left: 44 };
+
+// One line per series over shared x labels; `format` renders y values
+const LineChart = ({ labels, series, format = String }) => {
+  const max = Math.max(1, ...series.flatMap((s) => s.values));
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = HEIGHT - PAD.top - PAD.bottom;
+  const x = (i) =>
+    PAD.left + (labels.length > 1 ? (i / (labels.length - 1)) * innerW : 0);
+  const y = (v) => PAD.top + innerH - (v / max) * innerH;
+  // Roughly six x labels whatever the range
+  const every = Math.max(1, Math.ceil(labels.length / 6));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        {[0, 0.5, 1].map((f) => (
+          <g key={f}>
+            <line
+              x1={PAD.left}
+              x2={WIDTH - PAD.right}
+              y1={y(max * f)}
+              y2={y(max * f)}
+              stroke="#e5e7eb"
+            />
+            <text
+              x={PAD.left - 6}
+              y={y(max * f) + 4}
+              textAnchor="end"
+              fontSize="10"
+              fill="#6b7280"
+            >
+              {format(max * f)}
+            </text>
+          </g>
+        ))}
+        {labels.map(
+          (label, i) =>
+            i % every === 0 && (
+              <text
+                key={label}
+                x={x(i)}
+                y={HEIGHT - 6}
+                textAnchor="middle"
+                fontSize="10"
+                fill="#6b7280"
+              >
+                {label.slice(5)}
+              </text>
+            )
+        )}
+        {series.map((s, i) => (
+          <polyline
+            key={s.label}
+            fill="none"
+            stroke={COLORS[i % COLORS.length]}
+            strokeWidth="2"
+            points={s.values.map((v, j) => `${x(j)},${y(v)}`).join(" ")}
+          />
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+        {series.map((s, i) => (
+          <span key={s.label} className="flex items-center gap-1">
+            <span
+              className="inline-block w-3 h-3 rounded-sm"
+              style={{ backgroundColor: COLORS[i % COLORS.length] }}
+            />
+            {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,152 @@
+// components/LoginScreen.jsx
+import React, { useState } from "react";
+import {
+  signInWithEmailAndPassword,
+  sendPasswordResetEmail,
+  setPersistence,
+  browserLocalPersistence,
+  browserSessionPersistence,
+} from "firebase/auth";
+import { auth } from "../firebase";
+
+const AUTH_ERRORS = {
+  "auth/invalid-credential": "Incorrect email or password.",
+  "auth/invalid-email": "That email address is not valid.",
+  "auth/user-disabled": "This account has been disabled.",
+  "auth/user-not-found": "No account exists for that email.",
+  "auth/wrong-password": "Incorrect email or password.",
+  "auth/too-many-requests": "Too many attempts. Try again in a few minutes.",
+};
+
+const describeAuthError = (e) => AUTH_ERRORS[e.code] || e.message;
+
+const LoginScreen = () => {
+  const [mode, setMode] = useState("signin"); // 'signin' or 'reset'
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [remember, setRemember] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError(null);
+    setNotice(null);
+  };
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      await setPersistence(
+        auth,
+        remember ? browserLocalPersistence : browserSessionPersistence
+      );
+      await signInWithEmailAndPassword(auth, email.trim(), password);
+    } catch (err) {
+      setError(describeAuthError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      await sendPasswordResetEmail(auth, email.trim());
+      setNotice(`A password reset link has been sent to ${email.trim()}.`);
+    } catch (err) {
+      setError(describeAuthError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="w-full min-h-screen flex items-center justify-center bg-gray-100 p-4">
+      <form
+        onSubmit={mode === "signin" ? handleSignIn : handleReset}
+        className="w-full max-w-sm bg-white rounded-lg shadow-md p-6 text-left"
+      >
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-1">
+          {mode === "signin" ? "Sign in" : "Reset password"}
+        </h2>
+        <p className="text-sm text-gray-600 mb-6">
+          {mode === "signin"
+            ? "Sign in with your operator account to continue."
+            : "Enter your email and we'll send you a reset link."}
+        </p>
+
+        <label className="block text-sm font-semibold text-gray-700 mb-1">
+          Email
+          <input
+            type="email"
+            required
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-blue-600"
+          />
+        </label>
+
+        {mode === "signin" && (
+          <>
+            <label className="block text-sm font-semibold text-gray-700 mt-4 mb-1">
+              Password
+              <input
+                type="password"
+                required
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg font-normal focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
+            </label>
+            <label className="flex items-center mt-4 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={remember}
+                onChange={(e) => setRemember(e.target.checked)}
+                className="mr-2"
+              />
+              Keep me signed in on this device
+            </label>
+          </>
+        )}
+
+        {error && <p className="mt-4 text-sm text-red-500">{error}</p>}
+        {notice && <p className="mt-4 text-sm text-green-600">{notice}</p>}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className={`mt-6 w-full px-4 py-2 rounded-lg text-sm sm:text-base shadow-md ${
+            loading
+              ? "bg-gray-300 text-gray-500"
+              : "bg-blue-600 text-white hover:bg-blue-700"
+          }`}
+        >
+          {loading
+            ? "Please wait..."
+            : mode === "signin"
+            ? "Sign in"
+            : "Send reset link"}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => switchMode(mode === "signin" ? "reset" : "signin")}
+          className="mt-4 w-full text-sm text-blue-600 hover:underline"
+        >
+          {mode === "signin" ? "Forgot your password?" : "Back to sign in"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -0,0 +1,19 @@
+// components/NetworkMismatchBadge.jsx
+import React from "react";
+import { networkMismatch } from "../utils/networkCheck";
+
+// Renders nothing when the declared network matches the number
+const NetworkMismatchBadge = ({ collectionName, row }) => {
+  const mismatch = networkMismatch(collectionName, row);
+  if (!mismatch) return null;
+  return (
+    <span
+      title="The number's prefix belongs to another network"
+      className="inline-block mt-1 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 text-xs font-semibold"
+    >
+      Declared {mismatch.declared}, number is {mismatch.inferred}
+    </span>
+  );
+};
+
+export default NetworkMismatchBadge;
@@ -0,0 +1,14 @@
+// components/NewRecordsBadge.jsx
+import React from "react";
+
+const NewRecordsBadge = ({ newCount, onShowNew }) =>
+  newCount > 0 ? (
+    <button
+      onClick={onShowNew}
+      className="mb-4 px-3 py-1 rounded-full bg-green-100 text-green-800 text-sm font-semibold hover:bg-green-200"
+    >
+      {newCount} new since you opened this page — click to show
+    </button>
+  ) : null;
+
+export default NewRecordsBadge;
@@ -0,0 +1,110 @@
+// components/OverviewPanel.jsx
+import React from "react";
+
+const formatAge = (ts) => {
+  if (!ts?.toMillis) return "N/A";
+  const minutes = Math.max(0, Math.floor((Date.now() - ts.toMillis()) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const formatDate = (ts) =>
+  ts?.toDate ? ts.toDate().toLocaleString() : "Never";
+
+const formatVolume = (ch) => {
+  if (ch.gb != null) return `${Number(ch.gb.toFixed(2))} GB`;
+  return ch.bundled ? "Not totalled" : "N/A";
+};
+
+const formatValue = (ch) => {
+  if (ch.amount != null) return `GH₵${ch.amount.toFixed(2)}`;
+  return ch.bundled ? "Not totalled" : "N/A";
+};
+
+// Pending counts are live; ages and last exports are as of `updatedAt`.
+// Volumes read every pending order, so they are only totalled on request.
+const OverviewPanel = ({
+  channels,
+  loading,
+  updatedAt,
+  volumesLoading,
+  onOpenTab,
+  onRefresh,
+  onLoadVolumes,
+}) => {
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-800">
+          Overview
+        </h2>
+        <div className="flex items-center gap-3">
+          {updatedAt && (
+            <span className="text-xs text-gray-500">
+              Updated {updatedAt.toLocaleTimeString()}
+            </span>
+          )}
+          <button
+            onClick={onLoadVolumes}
+            disabled={volumesLoading}
+            className={`px-3 py-1 rounded-lg text-sm ${
+              volumesLoading
+                ? "bg-gray-300 text-gray-500"
+                : "bg-gray-300 text-gray-800 hover:bg-gray-400"
+            }`}
+          >
+            {volumesLoading ? "Totalling..." : "Total volumes"}
+          </button>
+          <button
+            onClick={onRefresh}
+            disabled={loading}
+            className={`px-3 py-1 rounded-lg text-sm ${
+              loading
+                ? "bg-gray-300 text-gray-500"
+                : "bg-gray-300 text-gray-800 hover:bg-gray-400"
+            }`}
+          >
+            {loading ? "Refreshing..." : "Refresh"}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 lg:grid-cols-5 gap-4">
+        {channels.map((ch) => (
+          <div
+            key={ch.collectionName}
+            className="p-4 bg-white rounded-lg shadow-md text-left"
+          >
+            <p className="font-semibold text-gray-800">{ch.label}</p>
+            <p className="text-3xl font-bold text-blue-600 mt-1">{ch.count}</p>
+            <p className="text-xs text-gray-500">pending export</p>
+            <p className="text-sm text-gray-600 mt-3">
+              <span className="font-semibold">Volume:</span> {formatVolume(ch)}
+            </p>
+            <p className="text-sm text-gray-600 mt-1">
+              <span className="font-semibold">Value:</span> {formatValue(ch)}
+            </p>
+            <p className="text-sm text-gray-600 mt-1">
+              <span className="font-semibold">Oldest pending:</span>{" "}
+              {ch.count > 0 ? formatAge(ch.oldestCreatedAt) : "N/A"}
+            </p>
+            <p className="text-sm text-gray-600 mt-1">
+              <span className="font-semibold">Last export:</span>{" "}
+              {formatDate(ch.lastExportAt)}
+            </p>
+            <button
+              onClick={() => onOpenTab(ch.tabIndex)}
+              className="mt-3 text-sm text-blue-600 hover:underline"
+            >
+              Open {ch.label} →
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OverviewPanel;
@@ -0,0 +1,98 @@
+// components/Pagination.jsx
+import React, { useState } from "react";
+import { PAGE_SIZE_OPTIONS } from "../hooks/usePagedQuery";
+
+const Pagination = ({
+  page,
+  hasMore,
+  totalPages,
+  pageSize,
+  onPrevPage,
+  onNextPage,
+  onJumpToPage,
+  onPageSizeChange,
+}) => {
+  const [jumpTo, setJumpTo] = useState("");
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    const target = parseInt(jumpTo, 10);
+    if (!target || target < 1) return;
+    onJumpToPage(totalPages ? Math.min(target, totalPages) : target);
+    setJumpTo("");
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row justify-between items-center gap-3 mt-6">
+      <button
+        onClick={onPrevPage}
+        disabled={page === 1}
+        className={`px-4 py-2 rounded-lg text-sm sm:text-base ${
+          page === 1
+            ? "bg-gray-300 text-gray-500"
+            : "bg-blue-600 text-white hover:bg-blue-700"
+        }`}
+      >
+        Previous
+      </button>
+
+      <div className="flex flex-wrap justify-center items-center gap-3 text-sm text-gray-600">
+        <span>
+          Page {page}
+          {totalPages ? ` of ${totalPages}` : ""}
+        </span>
+
+        {onJumpToPage && (
+          <form onSubmit={handleJump} className="flex items-center gap-1">
+            <input
+              type="number"
+              min="1"
+              max={totalPages || undefined}
+              value={jumpTo}
+              onChange={(e) => setJumpTo(e.target.value)}
+              placeholder="Go to"
+              className="w-20 px-2 py-1 border border-gray-300 rounded-lg"
+            />
+            <button
+              type="submit"
+              className="px-2 py-1 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400"
+            >
+              Go
+            </button>
+          </form>
+        )}
+
+        {onPageSizeChange && (
+          <label className="flex items-center gap-1">
+            Per page
+            <select
+              value={pageSize}
+              onChange={(e) => onPageSizeChange(Number(e.target.value))}
+              className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+            >
+              {PAGE_SIZE_OPTIONS.map((size) => (
+                <option key={size} value={size}>
+                  {size}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      <button
+        onClick={onNextPage}
+        disabled={!hasMore}
+        className={`px-4 py-2 rounded-lg text-sm sm:text-base ${
+          !hasMore
+            ? "bg-gray-300 text-gray-500"
+            : "bg-blue-600 text-white hover:bg-blue-700"
+        }`}
+      >
+        Next
+      </button>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,46 @@
+// components/PriceCheckBadge.jsx
+import React from "react";
+import { priceCheck, PRICE_PROBLEM_LABELS } from "../utils/priceCheck";
+
+const formatAmount = (amount) => `GH₵${Number(amount).toFixed(2)}`;
+
+// Renders nothing when the order paid the list price
+const PriceCheckBadge = ({
+  collectionName,
+  row,
+  catalog,
+  canApprove,
+  onApprove,
+}) => {
+  const check = priceCheck(collectionName, row, catalog);
+  if (!check) return null;
+  if (row.priceApproval) {
+    return (
+      <p className="mt-1 text-xs text-gray-500">
+        {PRICE_PROBLEM_LABELS[check.problem]}, approved for export
+      </p>
+    );
+  }
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-2">
+      <span
+        title="Held out of exports until an exporter approves it"
+        className="inline-block px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-xs font-semibold"
+      >
+        {PRICE_PROBLEM_LABELS[check.problem]}: paid {formatAmount(check.paid)}
+        {check.expected !== null &&
+          `, list price ${formatAmount(check.expected)}`}
+      </span>
+      {canApprove && (
+        <button
+          onClick={onApprove}
+          className="text-xs text-blue-600 hover:underline"
+        >
+          Approve
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PriceCheckBadge;
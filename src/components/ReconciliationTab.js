@@ -0,0 +1,228 @@
+// components/ReconciliationTab.jsx
+import React, { useState } from "react";
+import {
+  MISMATCH_KINDS,
+  MISMATCH_LABELS,
+  resolutionFor,
+} from "../utils/reconciliation";
+import { formatPhoneNumber } from "../utils/phone";
+import { SOURCE_LABELS, phoneOf } from "../utils/sources";
+
+const inputClass =
+  "mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white";
+
+const KIND_STYLES = {
+  [MISMATCH_KINDS.PAID_NOT_QUEUED]: "bg-red-100 text-red-700",
+  [MISMATCH_KINDS.QUEUED_NOT_PAID]: "bg-yellow-100 text-yellow-800",
+  [MISMATCH_KINDS.AMOUNT_MISMATCH]: "bg-orange-100 text-orange-800",
+};
+
+const formatAmount = (amount) =>
+  Number.isNaN(amount) ? "N/A" : `GH₵${amount.toFixed(2)}`;
+
+const formatDate = (ts) => (ts?.toDate ? ts.toDate().toLocaleString() : "N/A");
+
+const RecordLine = ({ record }) => (
+  <p className="text-sm text-gray-600">
+    <span className="font-semibold">
+      {SOURCE_LABELS[record.collection] || record.collection}:
+    </span>{" "}
+    {formatAmount(record.amount)} ·{" "}
+    {formatPhoneNumber(phoneOf(record.collection, record.data))} ·{" "}
+    {formatDate(record.data.createdAt)}
+  </p>
+);
+
+const ResolveForm = ({ onResolve }) => {
+  const [note, setNote] = useState("");
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (note.trim()) onResolve(note.trim());
+  };
+  return (
+    <form onSubmit={handleSubmit} className="flex gap-2 mt-3">
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="What was done, e.g. refunded, re-queued"
+        className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+      />
+      <button
+        type="submit"
+        disabled={!note.trim()}
+        className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm disabled:opacity-50"
+      >
+        Resolve
+      </button>
+    </form>
+  );
+};
+
+const ReconciliationTab = ({
+  items,
+  resolutions,
+  range,
+  loading,
+  error,
+  canResolve,
+  onLoad,
+  onResolve,
+}) => {
+  const [draft, setDraft] = useState(range);
+  const [kind, setKind] = useState("");
+  const [showResolved, setShowResolved] = useState(false);
+
+  const shown = items.filter(
+    (item) =>
+      (!kind || item.kind === kind) &&
+      (showResolved || !resolutionFor(resolutions, item))
+  );
+  const countOf = (k) =>
+    items.filter((item) => item.kind === k && !resolutionFor(resolutions, item))
+      .length;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (draft.from && draft.to && draft.from <= draft.to) onLoad(draft);
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-800">
+          Reconciliation
+        </h2>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Teller payments matched to website and USSD orders by payment reference.
+        Records near the edges of the range may have their match just outside
+        it.
+      </p>
+
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end mb-4 p-4 bg-white rounded-lg shadow-md text-sm text-gray-700 text-left"
+      >
+        <label>
+          From
+          <input
+            type="date"
+            value={draft.from}
+            onChange={(e) => setDraft({ ...draft, from: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            value={draft.to}
+            onChange={(e) => setDraft({ ...draft, to: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label>
+          Show
+          <select
+            value={kind}
+            onChange={(e) => setKind(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">All problems</option>
+            {Object.values(MISMATCH_KINDS).map((k) => (
+              <option key={k} value={k}>
+                {MISMATCH_LABELS[k]} ({countOf(k)})
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+        >
+          Load
+        </button>
+        <label className="col-span-2 sm:col-span-4 flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={showResolved}
+            onChange={(e) => setShowResolved(e.target.checked)}
+          />
+          Include resolved items
+        </label>
+      </form>
+
+      {loading && (
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {error && <p className="text-center text-red-500">{error}</p>}
+
+      {!loading && shown.length > 0 ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {shown.map((item) => {
+            const resolution = resolutionFor(resolutions, item);
+            return (
+              <div
+                key={item.id}
+                className="p-4 bg-white rounded-lg shadow-md hover:shadow-lg text-left"
+              >
+                <div className="flex justify-between items-start gap-2 mb-2">
+                  <p className="font-medium text-gray-900 truncate">
+                    {item.ref ? `Ref: ${item.ref}` : "No payment reference"}
+                  </p>
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                      KIND_STYLES[item.kind]
+                    }`}
+                  >
+                    {MISMATCH_LABELS[item.kind]}
+                  </span>
+                </div>
+                {[...item.payments, ...item.deliveries].map((record) => (
+                  <RecordLine
+                    key={`${record.collection}/${record.id}`}
+                    record={record}
+                  />
+                ))}
+                {item.kind === MISMATCH_KINDS.AMOUNT_MISMATCH && (
+                  <p className="text-sm text-gray-800 mt-1">
+                    Paid {formatAmount(item.paid)}, charged{" "}
+                    {formatAmount(item.charged)}
+                  </p>
+                )}
+                {resolution ? (
+                  <p className="text-sm text-green-700 mt-3">
+                    Resolved by{" "}
+                    {resolution.resolvedBy?.name ||
+                      resolution.resolvedBy?.email ||
+                      "N/A"}
+                    : {resolution.note}
+                  </p>
+                ) : (
+                  canResolve && (
+                    <ResolveForm onResolve={(note) => onResolve(item, note)} />
+                  )
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        !loading && (
+          <p className="text-gray-600 text-center text-lg">
+            {items.length
+              ? "Nothing left to resolve for this selection."
+              : "Everything in this range reconciles."}
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ReconciliationTab;
@@ -0,0 +1,145 @@
+// components/SourceTab.jsx
+import React from "react";
+import Pagination from "./Pagination";
+import NewRecordsBadge from "./NewRecordsBadge";
+import FilterBar from "./FilterBar";
+import InvalidPhoneBadge from "./InvalidPhoneBadge";
+import NetworkMismatchBadge from "./NetworkMismatchBadge";
+import BundleSize from "./BundleSize";
+import PriceCheckBadge from "./PriceCheckBadge";
+import { phoneOf } from "../utils/sources";
+import { DECLARED_NETWORK_FIELDS } from "../utils/networkCheck";
+
+// The pending queue of one source: its cards are laid out by the source's
+// `card` lines, followed by whatever badges apply to the record
+const SourceTab = ({
+  source,
+  catalog,
+  live,
+  pager,
+  loading,
+  error,
+  canExport,
+  filters,
+  matchCount,
+  onApplyFilters,
+  onShowNew,
+  onDownload,
+  onApprovePrice,
+  onCorrectNetworks,
+}) => {
+  const { collectionName, title, label, noun, fields, card } = source;
+  const records = pager.items;
+  const canCorrect = !!DECLARED_NETWORK_FIELDS[collectionName];
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-800">{title}</h2>
+        {canExport && records.length > 0 && (
+          <div className="flex gap-2 mt-2 sm:mt-0">
+            {canCorrect && (
+              <button
+                onClick={onCorrectNetworks}
+                className="px-4 py-2 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400 text-sm sm:text-base shadow-md"
+              >
+                Correct providers
+              </button>
+            )}
+            <button
+              onClick={onDownload}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm sm:text-base shadow-md"
+            >
+              Download {label} (Excel)
+            </button>
+          </div>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Total Records: {live.count}
+        {live.sum ? ` (GH₵${live.sum.toFixed(2)})` : ""}
+        {matchCount != null && ` | Matching filters: ${matchCount}`} | Page:{" "}
+        {records.length} (Page {pager.page})
+      </p>
+
+      <FilterBar fields={fields} filters={filters} onApply={onApplyFilters} />
+
+      <NewRecordsBadge newCount={live.newCount} onShowNew={onShowNew} />
+
+      {loading && (
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {error && <p className="text-center text-red-500">{error}</p>}
+
+      {!loading && !error && records.length > 0 ? (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {records.map((row) => (
+              <div
+                key={row.id}
+                className="p-4 bg-white rounded-lg shadow-md hover:shadow-lg"
+              >
+                {card.map((line) => {
+                  const value = line.size ? (
+                    <BundleSize
+                      collectionName={collectionName}
+                      row={row}
+                      catalog={catalog}
+                    />
+                  ) : (
+                    line.value(row)
+                  );
+                  return (
+                    value != null && (
+                      <p key={line.label}>
+                        <span className="font-semibold">{line.label}:</span>{" "}
+                        {value}
+                      </p>
+                    )
+                  );
+                })}
+                <InvalidPhoneBadge number={phoneOf(collectionName, row)} />
+                <NetworkMismatchBadge
+                  collectionName={collectionName}
+                  row={row}
+                />
+                <PriceCheckBadge
+                  collectionName={collectionName}
+                  row={row}
+                  catalog={catalog}
+                  canApprove={canExport}
+                  onApprove={() => onApprovePrice(row)}
+                />
+              </div>
+            ))}
+          </div>
+
+          <Pagination
+            page={pager.page}
+            hasMore={pager.hasMore}
+            totalPages={Math.ceil((matchCount ?? live.count) / pager.pageSize)}
+            pageSize={pager.pageSize}
+            onPrevPage={pager.prevPage}
+            onNextPage={pager.nextPage}
+            onJumpToPage={pager.goToPage}
+            onPageSizeChange={pager.setPageSize}
+          />
+        </>
+      ) : (
+        !loading && (
+          <p className="text-gray-600 text-center text-lg">
+            {matchCount != null
+              ? `No ${noun} match these filters.`
+              : `No ${noun} found.`}
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default SourceTab;
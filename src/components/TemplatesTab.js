@@ -0,0 +1,320 @@
+// components/TemplatesTab.jsx
+import React, { useState } from "react";
+import {
+  TEMPLATE_FIELDS,
+  FIELD_LABELS,
+  PHONE_FORMATS,
+  PHONE_FORMAT_LABELS,
+  UNITS,
+  newTemplate,
+} from "../utils/exportTemplates";
+import { SOURCE_LABELS } from "../utils/sources";
+
+const inputClass =
+  "mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal bg-white";
+
+const validate = (template) => {
+  if (!template.name.trim()) return "Give the template a name.";
+  if (template.columns.length === 0) return "Add at least one column.";
+  const labels = template.columns.map((c) => c.label.trim());
+  if (labels.some((l) => !l)) return "Every column needs a header label.";
+  if (new Set(labels).size !== labels.length) {
+    return "Header labels must be unique.";
+  }
+  return null;
+};
+
+const TemplateEditor = ({ initial, onSave, onCancel }) => {
+  const [template, setTemplate] = useState(initial);
+  const [problem, setProblem] = useState(null);
+  const fields = Object.keys(TEMPLATE_FIELDS[template.collection]);
+
+  const set = (key) => (e) =>
+    setTemplate({ ...template, [key]: e.target.value });
+
+  const setColumn = (i, patch) =>
+    setTemplate({
+      ...template,
+      columns: template.columns.map((c, j) =>
+        j === i ? { ...c, ...patch } : c
+      ),
+    });
+
+  const moveColumn = (i, by) => {
+    const columns = [...template.columns];
+    const [column] = columns.splice(i, 1);
+    columns.splice(i + by, 0, column);
+    setTemplate({ ...template, columns });
+  };
+
+  const removeColumn = (i) =>
+    setTemplate({
+      ...template,
+      columns: template.columns.filter((_, j) => j !== i),
+    });
+
+  const addColumn = () =>
+    setTemplate({
+      ...template,
+      columns: [
+        ...template.columns,
+        { field: fields[0], label: FIELD_LABELS[fields[0]], unit: UNITS.GB },
+      ],
+    });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const issue = validate(template);
+    setProblem(issue);
+    if (!issue) onSave(template);
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="p-4 bg-white rounded-lg shadow-md text-left mb-6"
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm text-gray-700">
+        <label>
+          Name
+          <input
+            type="text"
+            value={template.name}
+            onChange={set("name")}
+            placeholder="e.g. MTN bulk upload"
+            className={inputClass}
+          />
+        </label>
+        <label>
+          Queue
+          <select
+            value={template.collection}
+            onChange={(e) => setTemplate(newTemplate(e.target.value))}
+            disabled={!!template.id}
+            className={inputClass}
+          >
+            {Object.keys(TEMPLATE_FIELDS).map((name) => (
+              <option key={name} value={name}>
+                {SOURCE_LABELS[name]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Sheet name
+          <input
+            type="text"
+            maxLength={31}
+            value={template.sheetName}
+            onChange={set("sheetName")}
+            className={inputClass}
+          />
+        </label>
+        <label>
+          Phone number format
+          <select
+            value={template.phoneFormat}
+            onChange={set("phoneFormat")}
+            className={inputClass}
+          >
+            {Object.values(PHONE_FORMATS).map((format) => (
+              <option key={format} value={format}>
+                {PHONE_FORMAT_LABELS[format]}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <h4 className="font-semibold text-gray-800 mt-4 mb-2">Columns</h4>
+      {template.columns.map((column, i) => (
+        <div
+          key={i}
+          className="flex flex-wrap items-center gap-2 mb-2 text-sm text-gray-700"
+        >
+          <select
+            value={column.field}
+            onChange={(e) => setColumn(i, { field: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+          >
+            {fields.map((field) => (
+              <option key={field} value={field}>
+                {FIELD_LABELS[field]}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={column.label}
+            onChange={(e) => setColumn(i, { label: e.target.value })}
+            placeholder="Header label"
+            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg"
+          />
+          {column.field === "gb" && (
+            <select
+              value={column.unit || UNITS.GB}
+              onChange={(e) => setColumn(i, { unit: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+            >
+              {Object.values(UNITS).map((unit) => (
+                <option key={unit} value={unit}>
+                  {unit}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            type="button"
+            onClick={() => moveColumn(i, -1)}
+            disabled={i === 0}
+            className="px-2 py-1 bg-gray-200 rounded-lg disabled:opacity-50"
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            onClick={() => moveColumn(i, 1)}
+            disabled={i === template.columns.length - 1}
+            className="px-2 py-1 bg-gray-200 rounded-lg disabled:opacity-50"
+          >
+            ↓
+          </button>
+          <button
+            type="button"
+            onClick={() => removeColumn(i)}
+            className="px-2 py-1 text-red-600 hover:underline"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={addColumn}
+        className="text-sm text-blue-600 hover:underline"
+      >
+        + Add column
+      </button>
+
+      {problem && <p className="mt-3 text-sm text-red-500">{problem}</p>}
+
+      <div className="flex justify-end gap-2 mt-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+        >
+          Save template
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const TemplatesTab = ({ templates, loading, error, onSave, onDelete }) => {
+  const [editing, setEditing] = useState(null);
+
+  const handleSave = async (template) => {
+    if (await onSave(template)) setEditing(null);
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-800">
+          Export Templates
+        </h2>
+        {!editing && (
+          <button
+            onClick={() => setEditing(newTemplate("entries"))}
+            className="mt-2 sm:mt-0 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm sm:text-base shadow-md"
+          >
+            New template
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Templates set the columns, header labels, number format and units of an
+        export. Pick one in the export dialog.
+      </p>
+
+      {editing && (
+        <TemplateEditor
+          key={editing.id || "new"}
+          initial={editing}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {loading && (
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {error && <p className="text-center text-red-500">{error}</p>}
+
+      {!loading && templates.length > 0 ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {templates.map((template) => (
+            <div
+              key={template.id}
+              className="p-4 bg-white rounded-lg shadow-md hover:shadow-lg text-left"
+            >
+              <p className="font-medium text-gray-900">{template.name}</p>
+              <p className="text-sm text-gray-600 mt-1">
+                <span className="font-semibold">Queue:</span>{" "}
+                {SOURCE_LABELS[template.collection] || template.collection}
+              </p>
+              <p className="text-sm text-gray-600 mt-1">
+                <span className="font-semibold">Columns:</span>{" "}
+                {template.columns
+                  .map((c) =>
+                    c.field === "gb"
+                      ? `${c.label} (${c.unit || "GB"})`
+                      : c.label
+                  )
+                  .join(", ")}
+              </p>
+              <p className="text-sm text-gray-600 mt-1">
+                <span className="font-semibold">Numbers:</span>{" "}
+                {PHONE_FORMAT_LABELS[template.phoneFormat]}
+              </p>
+              <div className="flex gap-2 mt-3">
+                <button
+                  onClick={() => setEditing(template)}
+                  className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => onDelete(template)}
+                  className="px-3 py-1 bg-gray-300 text-gray-800 rounded-lg hover:bg-gray-400 text-sm"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        !loading &&
+        !editing && (
+          <p className="text-gray-600 text-center text-lg">
+            No templates yet. Exports use the built-in columns.
+          </p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default TemplatesTab;
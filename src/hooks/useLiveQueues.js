@@ -0,0 +1,81 @@
+// hooks/useLiveQueues.js
+// Live view of the pending queues: each one's totals, and how many records
+// have arrived since the operator opened the page (or last merged them in).
+// Only new arrivals are streamed; a queue's totals are re-counted with an
+// aggregation query whenever something arrives on it or an export on it
+// starts or ends. `collectionNames` must not change between renders.
+import { useState, useEffect, useCallback } from "react";
+import { doc, query, where, onSnapshot, Timestamp } from "firebase/firestore";
+import { db } from "../firebase";
+import { pendingQuery, countPending } from "../utils/queues";
+import { EXPORT_LOCKS } from "../utils/exportLock";
+
+const EMPTY_TOTALS = { count: 0, sum: null };
+
+const useLiveQueues = (collectionNames, { onError } = {}) => {
+  const [opened] = useState(() => Timestamp.now());
+  // name -> newest arrival the operator has merged in
+  const [since, setSince] = useState({});
+  // name -> createdAt of every pending record that arrived since `opened`
+  const [arrivals, setArrivals] = useState({});
+  const [totals, setTotals] = useState({});
+
+  const recount = useCallback(
+    (name) =>
+      countPending(name)
+        .then((t) => setTotals((prev) => ({ ...prev, [name]: t })))
+        .catch((e) => onError && onError(e)),
+    [onError]
+  );
+
+  useEffect(() => {
+    const unsubscribes = collectionNames.flatMap((name) => [
+      onSnapshot(
+        query(pendingQuery(name), where("createdAt", ">", opened)),
+        (snap) => {
+          setArrivals((prev) => ({
+            ...prev,
+            [name]: snap.docs.map((d) => d.data().createdAt),
+          }));
+          recount(name);
+        },
+        (e) => onError && onError(e)
+      ),
+      onSnapshot(
+        doc(db, EXPORT_LOCKS, name),
+        () => recount(name),
+        (e) => onError && onError(e)
+      ),
+    ]);
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [collectionNames, opened, recount, onError]);
+
+  const newSince = (name) => {
+    const from = since[name] || opened;
+    return (arrivals[name] || []).filter(
+      (ts) => ts && ts.toMillis() > from.toMillis()
+    );
+  };
+
+  return Object.fromEntries(
+    collectionNames.map((name) => [
+      name,
+      {
+        ...(totals[name] || EMPTY_TOTALS),
+        newCount: newSince(name).length,
+        /** Resets the "new" counter to zero from the newest arrival onwards. */
+        acknowledge: () =>
+          setSince((prev) => ({
+            ...prev,
+            [name]: newSince(name).reduce(
+              (max, ts) => (ts.toMillis() > max.toMillis() ? ts : max),
+              prev[name] || opened
+            ),
+          })),
+        recount: () => recount(name),
+      },
+    ])
+  );
+};
+
+export default useLiveQueues;
@@ -0,0 +1,149 @@
+// hooks/usePagedQuery.js
+// Cursor-based paging over a Firestore query, with a per-page cache: pages
+// already visited are served from memory, and jumping ahead reads the
+// missing pages in a single query. An optional `matches` check drops records
+// the query itself cannot filter out; pages are topped up until full.
+// When the query changes (say, to another source's), a load still running
+// for the old one is dropped.
+import { useState, useEffect, useRef, useCallback } from "react";
+import { query, getDocs, limit, startAfter } from "firebase/firestore";
+
+export const PAGE_SIZE_OPTIONS = [6, 12, 24, 48];
+
+const toRecord = (d) => ({ id: d.id, ...d.data() });
+
+const usePagedQuery = ({
+  buildQuery,
+  mapDoc = toRecord,
+  matches,
+  active = true,
+  initialPageSize = PAGE_SIZE_OPTIONS[0],
+  onError,
+}) => {
+  const [items, setItems] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(initialPageSize);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+
+  // page number -> { items, hasMore }, and the last doc of each page
+  const cache = useRef({});
+  const cursors = useRef([]);
+  const busy = useRef(false);
+  const generation = useRef(0);
+
+  useEffect(() => {
+    generation.current += 1;
+    busy.current = false;
+  }, [buildQuery, matches]);
+
+  const goToPage = useCallback(
+    async (target) => {
+      if (target < 1 || busy.current) return;
+      if (cache.current[target]) {
+        setItems(cache.current[target].items);
+        setHasMore(cache.current[target].hasMore);
+        setPage(target);
+        return;
+      }
+
+      // Start from the furthest page we already hold a cursor for
+      let from = Math.min(target - 1, cursors.current.length);
+      while (from > 0 && !cursors.current[from - 1]) from--;
+      const wanted = (target - from) * pageSize;
+
+      const started = generation.current;
+      busy.current = true;
+      setLoading(true);
+      try {
+        // Read `wanted` docs at a time until enough of them pass `matches`
+        let docs = [];
+        let cursor = from > 0 ? cursors.current[from - 1] : null;
+        let exhausted = false;
+        while (docs.length < wanted && !exhausted) {
+          const size = matches ? wanted : wanted - docs.length;
+          const q = query(
+            buildQuery(),
+            ...(cursor ? [startAfter(cursor)] : []),
+            limit(size)
+          );
+          const snap = await getDocs(q);
+          exhausted = snap.docs.length < size;
+          if (snap.docs.length) cursor = snap.docs[snap.docs.length - 1];
+          docs = docs.concat(
+            matches ? snap.docs.filter((d) => matches(d.data())) : snap.docs
+          );
+        }
+        if (started !== generation.current) return;
+        if (docs.length > wanted) {
+          docs = docs.slice(0, wanted);
+          exhausted = false;
+        }
+
+        let landed = from > 0 ? from : 1;
+        for (let i = 0; i * pageSize < docs.length; i++) {
+          const chunk = docs.slice(i * pageSize, (i + 1) * pageSize);
+          const n = from + i + 1;
+          const isLast = (i + 1) * pageSize >= docs.length;
+          cache.current[n] = {
+            items: chunk.map(mapDoc),
+            hasMore: !(isLast && exhausted),
+          };
+          cursors.current[n - 1] = chunk[chunk.length - 1];
+          landed = n;
+        }
+
+        if (cache.current[landed]) {
+          setItems(cache.current[landed].items);
+          setHasMore(cache.current[landed].hasMore);
+        } else {
+          setItems([]);
+          setHasMore(false);
+        }
+        setPage(landed);
+      } catch (e) {
+        if (onError && started === generation.current) onError(e);
+      } finally {
+        if (started === generation.current) {
+          busy.current = false;
+          setLoading(false);
+        }
+      }
+    },
+    [buildQuery, mapDoc, matches, pageSize, onError]
+  );
+
+  /** Drops the cache and reloads the first page. */
+  const reset = useCallback(() => {
+    cache.current = {};
+    cursors.current = [];
+    return goToPage(1);
+  }, [goToPage]);
+
+  /** Drops the cache and reloads the current page. */
+  const refresh = useCallback(() => {
+    cache.current = {};
+    cursors.current = [];
+    return goToPage(page);
+  }, [goToPage, page]);
+
+  useEffect(() => {
+    if (active) reset();
+  }, [active, reset]);
+
+  return {
+    items,
+    page,
+    pageSize,
+    hasMore,
+    loading,
+    goToPage,
+    nextPage: () => hasMore && goToPage(page + 1),
+    prevPage: () => page > 1 && goToPage(page - 1),
+    setPageSize,
+    reset,
+    refresh,
+  };
+};
+
+export default usePagedQuery;
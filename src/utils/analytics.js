@@ -0,0 +1,188 @@
+// utils/analytics.js
+// Sales over time. Every record a channel took in during a date range,
+// exported or not, is read once and rolled up into rows by day, channel,
+// network and bundle size; the charts, top-bundle list and table export all
+// work off those rows.
+import { collection, query, where, orderBy } from "firebase/firestore";
+import { db } from "../firebase";
+import { readInChunks, startOfDay, endOfDay } from "./filters";
+import {
+  SOURCE_LIST,
+  phoneOf,
+  bundleSizeMb,
+  hasBundles,
+  orderAmount,
+} from "./sources";
+import { detectNetwork } from "./phone";
+import { formatSize, MB_PER_GB } from "./bundleCatalog";
+
+// Every source with a `channel` label, in tab order. Teller payments have
+// none, so a teller-paid order is counted once, as the order it paid for.
+export const ANALYTICS_CHANNELS = SOURCE_LIST.filter(
+  (source) => source.channel
+).map(({ collectionName, channel, counts }) => ({
+  collectionName,
+  label: channel,
+  counts,
+}));
+
+export const METRICS = {
+  ORDERS: "orders",
+  GB: "gb",
+  AMOUNT: "amount",
+};
+
+export const METRIC_LABELS = {
+  [METRICS.ORDERS]: "Orders",
+  [METRICS.GB]: "GB",
+  [METRICS.AMOUNT]: "GH₵",
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "2025-11-05", in local time like the date pickers
+const toDay = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/** Every day from `from` to `to`, inclusive, as "YYYY-MM-DD". */
+export const daysBetween = (from, to) => {
+  const days = [];
+  const d = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T00:00:00`);
+  while (d <= end) {
+    days.push(toDay(d));
+    d.setDate(d.getDate() + 1);
+  }
+  return days;
+};
+
+/** `{ from, to }` covering the last `n` days, today included. */
+export const lastDays = (n, now = new Date()) => {
+  const start = new Date(now);
+  start.setDate(start.getDate() - (n - 1));
+  return { from: toDay(start), to: toDay(now) };
+};
+
+/**
+ * Records of every channel created between the two dates, inclusive, as
+ * `{ collection, data }`. `onRead(n)` hears the running total.
+ */
+export const fetchSales = async (from, to, onRead) => {
+  const records = [];
+  for (const { collectionName, counts } of ANALYTICS_CHANNELS) {
+    const offset = records.length;
+    const docs = await readInChunks(
+      query(
+        collection(db, collectionName),
+        where("createdAt", ">=", startOfDay(from)),
+        where("createdAt", "<", endOfDay(to)),
+        orderBy("createdAt")
+      ),
+      counts,
+      onRead && ((n) => onRead(offset + n))
+    );
+    docs.forEach((d) =>
+      records.push({ collection: collectionName, data: d.data() })
+    );
+  }
+  return records;
+};
+
+/**
+ * `[{ day, channel, network, bundle, orders, gb, amount }]`, one row per
+ * combination that sold anything. Networks come from the number's prefix.
+ */
+export const rollUp = (records, catalog) => {
+  const labels = Object.fromEntries(
+    ANALYTICS_CHANNELS.map((c) => [c.collectionName, c.label])
+  );
+  const rows = new Map();
+  records.forEach(({ collection: name, data }) => {
+    if (!data.createdAt?.toDate) return;
+    const mb = bundleSizeMb(name, data, catalog);
+    const row = {
+      day: toDay(data.createdAt.toDate()),
+      channel: labels[name],
+      network: detectNetwork(phoneOf(name, data)) || "Unknown",
+      bundle: hasBundles(name) ? formatSize(mb) : "N/A",
+    };
+    const key = Object.values(row).join("|");
+    if (!rows.has(key)) rows.set(key, { ...row, orders: 0, gb: 0, amount: 0 });
+    const total = rows.get(key);
+    total.orders += 1;
+    total.gb += (mb || 0) / MB_PER_GB;
+    total.amount += orderAmount(name, data) || 0;
+  });
+  return [...rows.values()].sort(
+    (a, b) =>
+      a.day.localeCompare(b.day) ||
+      a.channel.localeCompare(b.channel) ||
+      a.network.localeCompare(b.network) ||
+      a.bundle.localeCompare(b.bundle)
+  );
+};
+
+const sumBy = (rows, key, metric) => {
+  const totals = new Map();
+  rows.forEach((row) =>
+    totals.set(row[key], (totals.get(row[key]) || 0) + row[metric])
+  );
+  return totals;
+};
+
+/** `{ days, series: [{ label, values }] }`: a metric per channel per day. */
+export const dailySeries = (rows, metric, from, to) => {
+  const days = daysBetween(from, to);
+  return {
+    days,
+    series: ANALYTICS_CHANNELS.map(({ label }) => {
+      const perDay = sumBy(
+        rows.filter((row) => row.channel === label),
+        "day",
+        metric
+      );
+      return { label, values: days.map((day) => perDay.get(day) || 0) };
+    }),
+  };
+};
+
+/** `[{ label, value }]` totals of a metric by `key`, largest first. */
+export const totalsBy = (rows, key, metric) =>
+  [...sumBy(rows, key, metric)]
+    .map(([label, value]) => ({ label, value }))
+    .sort((a, b) => b.value - a.value);
+
+/** The best-selling bundles by order count, with their GB and GH₵. */
+export const topBundles = (rows, n = 5) => {
+  const orders = rows.filter((row) => row.bundle !== "N/A");
+  const gb = sumBy(orders, "bundle", METRICS.GB);
+  const amount = sumBy(orders, "bundle", METRICS.AMOUNT);
+  return totalsBy(orders, "bundle", METRICS.ORDERS)
+    .slice(0, n)
+    .map(({ label, value }) => ({
+      bundle: label,
+      orders: value,
+      gb: gb.get(label),
+      amount: amount.get(label),
+    }));
+};
+
+const round2 = (n) => Number(n.toFixed(2));
+
+// The rolled-up table, in the EXPORT_COLUMNS shape so it goes through the
+// usual export writer
+export const ANALYTICS_COLUMNS = {
+  baseFileName: "Sales",
+  headers: ["Day", "Channel", "Network", "Bundle", "Orders", "GB", "Amount"],
+  sheetName: "Sales",
+  totals: ["Orders", "GB", "Amount"],
+  toRow: (row) => ({
+    Day: row.day,
+    Channel: row.channel,
+    Network: row.network,
+    Bundle: row.bundle,
+    Orders: row.orders,
+    GB: round2(row.gb),
+    Amount: round2(row.amount),
+  }),
+};
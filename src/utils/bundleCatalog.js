@@ -0,0 +1,173 @@
+// utils/bundleCatalog.js
+// The data bundles on sale, kept in `bundle_catalog` and edited by admins.
+// Each bundle has a canonical size in MB, the service names, USSD `gig`
+// values and prices that identify it in queue records, and its list price
+// on each network (`networkPrices`, GH₵ keyed by network name). Every size shown or
+// exported is looked up here, by the keys each source's `bundle` entry in
+// sources.js reads off its records. Records that match no bundle fall back to
+// the size they state themselves, as the dashboard read it before the
+// catalog, and are flagged so an admin can add the bundle.
+//
+// The dashboard loads the catalog once, builds it with `buildCatalog` and
+// passes it to every size lookup.
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  setDoc,
+  deleteDoc,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+
+export const BUNDLE_CATALOG = "bundle_catalog";
+
+// Portals that count in MB use binary megabytes
+export const MB_PER_GB = 1024;
+
+const nameKey = (name) =>
+  name == null ? null : String(name).trim().toLowerCase().replace(/\s+/g, " ");
+
+const gigKey = (gig) => (gig == null ? null : String(gig).trim().toLowerCase());
+
+const priceKey = (amount) => {
+  const n = Number(amount);
+  return amount == null || amount === "" || Number.isNaN(n)
+    ? null
+    : n.toFixed(2);
+};
+
+/** Lookup tables for a list of bundles. A price shared by two bundles identifies neither. */
+export const buildCatalog = (bundles = []) => {
+  const byName = new Map();
+  const byGig = new Map();
+  const byPrice = new Map();
+  bundles.forEach((bundle) => {
+    (bundle.serviceNames || []).forEach((n) => byName.set(nameKey(n), bundle));
+    (bundle.gigValues || []).forEach((g) => byGig.set(gigKey(g), bundle));
+    (bundle.prices || []).forEach((p) => {
+      const key = priceKey(p);
+      byPrice.set(key, byPrice.has(key) ? null : bundle);
+    });
+  });
+  return { bundles, byName, byGig, byPrice };
+};
+
+// How each lookup table normalises the values it is keyed by
+const KEYS = { byName: nameKey, byGig: gigKey, byPrice: priceKey };
+
+/**
+ * The first bundle the catalog knows by one of the `[table, value]` keys,
+ * or null.
+ */
+export const findBundle = (catalog, keys) =>
+  keys
+    .map(([table, value]) => {
+      const key = KEYS[table](value);
+      return key && catalog[table].get(key);
+    })
+    .find(Boolean) || null;
+
+/**
+ * How a bundle the catalog does not know is listed for admins: by the
+ * service name or `gig` value the catalog would need to know it by.
+ */
+const IDENTITY_FIELDS = { byName: "serviceName", byGig: "gig" };
+export const bundleIdentity = (keys) =>
+  Object.fromEntries(
+    keys
+      .filter(([table]) => IDENTITY_FIELDS[table])
+      .map(([table, value]) => [IDENTITY_FIELDS[table], value ?? null])
+  );
+
+/**
+ * A size in MB as a record states it, from the first value that states one:
+ * a bare number is GB ("2"), otherwise the first "1.5GB" or "500MB" in the
+ * text. Null when none does.
+ */
+export const statedMb = (values) => {
+  for (const value of values) {
+    const n = Number(value);
+    if (n > 0) return Math.round(n * MB_PER_GB);
+    const match = String(value ?? "").match(/(\d+(?:\.\d+)?)\s*(GB|MB)/i);
+    if (!match) continue;
+    const size = Number(match[1]);
+    return match[2].toUpperCase() === "GB"
+      ? Math.round(size * MB_PER_GB)
+      : size;
+  }
+  return null;
+};
+
+/** Size in GB to two decimals, "N/A" when unknown. For export columns. */
+export const mbToGb = (mb) =>
+  mb == null ? "N/A" : Number((mb / MB_PER_GB).toFixed(2));
+
+/** "5GB", "1.5GB" or "500MB" for display. */
+export const formatSize = (mb) => {
+  if (mb == null) return "Unknown";
+  if (mb < MB_PER_GB) return `${mb}MB`;
+  return `${Number((mb / MB_PER_GB).toFixed(2))}GB`;
+};
+
+/** A blank bundle, optionally seeded from an unknown one. */
+export const newBundle = (patch = {}) => ({
+  name: "",
+  sizeMb: null,
+  serviceNames: [],
+  gigValues: [],
+  prices: [],
+  networkPrices: {},
+  ...patch,
+});
+
+/**
+ * Why a bundle cannot be saved next to the `others`, or null. Service names
+ * and `gig` values must each point at one bundle; prices may be shared.
+ */
+export const bundleProblem = (bundle, others) => {
+  if (!bundle.name.trim()) return "Give the bundle a name.";
+  if (!(bundle.sizeMb > 0)) return "Enter a data size above zero.";
+  if (
+    Object.values(bundle.networkPrices).some((p) => Number.isNaN(p) || p < 0)
+  ) {
+    return "List prices must be amounts of zero or more.";
+  }
+  if (!bundle.serviceNames.length && !bundle.gigValues.length) {
+    return "Add at least one service name or USSD gig value.";
+  }
+  const { byName, byGig } = buildCatalog(others);
+  const name = bundle.serviceNames.find((n) => byName.has(nameKey(n)));
+  if (name)
+    return `"${name}" already belongs to ${byName.get(nameKey(name)).name}.`;
+  const gig = bundle.gigValues.find((g) => byGig.has(gigKey(g)));
+  if (gig)
+    return `Gig value ${gig} already belongs to ${
+      byGig.get(gigKey(gig)).name
+    }.`;
+  return null;
+};
+
+export const fetchBundles = async () => {
+  const snap = await getDocs(collection(db, BUNDLE_CATALOG));
+  return snap.docs
+    .map((d) => newBundle({ id: d.id, ...d.data() }))
+    .sort((a, b) => a.sizeMb - b.sizeMb || a.name.localeCompare(b.name));
+};
+
+/** Creates or overwrites a bundle. Returns its id. */
+export const saveBundle = async ({ id, ...bundle }, operator) => {
+  const data = {
+    ...bundle,
+    updatedAt: serverTimestamp(),
+    updatedBy: operator,
+  };
+  if (id) {
+    await setDoc(doc(db, BUNDLE_CATALOG, id), data);
+    return id;
+  }
+  return (await addDoc(collection(db, BUNDLE_CATALOG), data)).id;
+};
+
+export const deleteBundle = (id) => deleteDoc(doc(db, BUNDLE_CATALOG, id));
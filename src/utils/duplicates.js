@@ -0,0 +1,212 @@
+// utils/duplicates.js
+// The same number turning up twice within minutes, in one queue or across
+// queues, is usually a double payment or a retry rather than two orders. Pending records are grouped by normalised number, bundle
+// size and time so an operator can hold the extras, or dismiss the group as
+// genuine, before anything is exported. Held records stay out of exports.
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  addDoc,
+  writeBatch,
+  serverTimestamp,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { AUDIT_LOG } from "./exportLedger";
+import { EMPTY_FILTERS, fetchFilteredDocs, readInChunks } from "./filters";
+import { pendingQuery } from "./queues";
+import { SOURCE_LIST, SOURCES, phoneOf, bundleSizeMb } from "./sources";
+import { parsePhone } from "./phone";
+
+// Records of one number and size this close together count as duplicates
+export const DUPLICATE_WINDOW_MS = 15 * 60 * 1000;
+
+export const DUPLICATE_CHANNELS = SOURCE_LIST.map(
+  (source) => source.collectionName
+);
+
+// Payment sources hold the payment for a website or USSD order, on the same
+// number and bundle minutes later, so they are only compared with their own
+// records; every other channel is compared with all the others
+const scopeOf = (name) =>
+  SOURCES[name].reconcile === "payment" ? name : "orders";
+
+// Set on a record in `duplicateCheck.status` once an operator has looked at it
+export const DUPLICATE_STATUSES = {
+  HELD: "held",
+  DISMISSED: "dismissed",
+};
+
+// Bundle size in MB; Numbers entries and unknown bundles have none and only
+// group with each other
+const sizeOf = ({ collection: name, data }, catalog) =>
+  bundleSizeMb(name, data, catalog);
+
+const millisOf = ({ data }) =>
+  data.createdAt?.toMillis ? data.createdAt.toMillis() : null;
+
+export const isHeld = (row) =>
+  row.duplicateCheck?.status === DUPLICATE_STATUSES.HELD;
+
+const isDismissed = (row) =>
+  row.duplicateCheck?.status === DUPLICATE_STATUSES.DISMISSED;
+
+const toRecord = (name, d) => ({
+  collection: name,
+  id: d.id,
+  ref: d.ref,
+  data: d.data(),
+});
+
+/**
+ * Pending records of the channels, every one by default, as
+ * `{ collection, id, ref, data }`.
+ */
+export const fetchPendingRecords = async (channels = DUPLICATE_CHANNELS) => {
+  const perChannel = await Promise.all(
+    channels.map(async (name) =>
+      (
+        await fetchFilteredDocs(name, EMPTY_FILTERS)
+      ).map((d) => toRecord(name, d))
+    )
+  );
+  return perChannel.flat();
+};
+
+// Pending records of one channel created between two times, in millis
+const fetchPendingBetween = async (name, start, end) =>
+  (
+    await readInChunks(
+      query(
+        pendingQuery(name),
+        where("createdAt", ">=", Timestamp.fromMillis(start)),
+        where("createdAt", "<=", Timestamp.fromMillis(end)),
+        orderBy("createdAt")
+      )
+    )
+  ).map((d) => toRecord(name, d));
+
+/**
+ * What one queue is checked against, as `{ collection, id, ref, data }`:
+ * the queue's records, and the pending records of the channels it is
+ * compared with that were created within the duplicate window of them.
+ * `docs` are the queue's snapshots when the caller has read them already,
+ * e.g. the records being exported; otherwise its whole pending queue is
+ * read. Only the stretch of time they cover is read of the others, the
+ * queue's own included when `docs` may be a slice of it.
+ */
+export const fetchDuplicateCandidates = async (collectionName, docs) => {
+  const own = docs
+    ? docs.map((d) => toRecord(collectionName, d))
+    : await fetchPendingRecords([collectionName]);
+  const times = own.map(millisOf).filter((t) => t !== null);
+  if (!times.length) return own;
+  const start = times.reduce((a, b) => Math.min(a, b)) - DUPLICATE_WINDOW_MS;
+  const end = times.reduce((a, b) => Math.max(a, b)) + DUPLICATE_WINDOW_MS;
+  const others = await Promise.all(
+    DUPLICATE_CHANNELS.filter(
+      (name) =>
+        scopeOf(name) === scopeOf(collectionName) &&
+        (docs || name !== collectionName)
+    ).map((name) => fetchPendingBetween(name, start, end))
+  );
+  const byKey = new Map(own.map((r) => [`${r.collection}/${r.id}`, r]));
+  others.flat().forEach((r) => {
+    const key = `${r.collection}/${r.id}`;
+    if (!byKey.has(key)) byKey.set(key, r);
+  });
+  return [...byKey.values()];
+};
+
+/**
+ * `[{ key, number, sizeMb, records }]`: runs of two or more records with
+ * the same number and size, each within `windowMs` of the one before, newest
+ * run first. Payments are not grouped with orders. Dismissed records,
+ * invalid numbers and records without a creation time are left out.
+ */
+export const groupDuplicates = (
+  records,
+  catalog,
+  windowMs = DUPLICATE_WINDOW_MS
+) => {
+  const byKey = new Map();
+  records.forEach((record) => {
+    const { local } = parsePhone(phoneOf(record.collection, record.data));
+    if (!local || isDismissed(record.data) || millisOf(record) === null) {
+      return;
+    }
+    const key = `${scopeOf(record.collection)}|${local}|${
+      sizeOf(record, catalog) ?? ""
+    }`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(record);
+  });
+
+  const groups = [];
+  byKey.forEach((list, key) => {
+    const flush = (run) => {
+      if (run.length < 2) return;
+      groups.push({
+        key: `${key}|${run[0].collection}/${run[0].id}`,
+        number: parsePhone(phoneOf(run[0].collection, run[0].data)).local,
+        sizeMb: sizeOf(run[0], catalog),
+        records: run,
+      });
+    };
+    let run = [];
+    [...list]
+      .sort((a, b) => millisOf(a) - millisOf(b))
+      .forEach((record) => {
+        const last = run[run.length - 1];
+        if (last && millisOf(record) - millisOf(last) > windowMs) {
+          flush(run);
+          run = [];
+        }
+        run.push(record);
+      });
+    flush(run);
+  });
+
+  return groups.sort((a, b) => millisOf(b.records[0]) - millisOf(a.records[0]));
+};
+
+/** True once every record but one in the group is held. */
+export const isResolved = (group) =>
+  group.records.filter((r) => !isHeld(r.data)).length <= 1;
+
+/** Ids of a queue's records that sit in an unresolved group, unheld. */
+export const unresolvedDuplicateIds = (groups, collectionName) =>
+  new Set(
+    groups
+      .filter((group) => !isResolved(group))
+      .flatMap((group) => group.records)
+      .filter((r) => r.collection === collectionName && !isHeld(r.data))
+      .map((r) => r.id)
+  );
+
+/**
+ * Marks records held or dismissed, with one `audit_log` entry. Releasing a
+ * held record dismisses it, so it is no longer grouped.
+ */
+export const setDuplicateStatus = async (records, status, operator) => {
+  const batch = writeBatch(db);
+  records.forEach((r) =>
+    batch.update(r.ref, {
+      duplicateCheck: { status, at: serverTimestamp(), by: operator },
+    })
+  );
+  await batch.commit();
+
+  await addDoc(collection(db, AUDIT_LOG), {
+    action:
+      status === DUPLICATE_STATUSES.HELD
+        ? "hold_duplicates"
+        : "dismiss_duplicates",
+    records: records.map((r) => `${r.collection}/${r.id}`),
+    recordCount: records.length,
+    operator,
+    createdAt: serverTimestamp(),
+  });
+};
@@ -0,0 +1,187 @@
+import { Timestamp } from "firebase/firestore";
+import {
+  DUPLICATE_CHANNELS,
+  DUPLICATE_STATUSES,
+  groupDuplicates,
+  isResolved,
+  unresolvedDuplicateIds,
+} from "./duplicates";
+import { buildCatalog } from "./bundleCatalog";
+import { TELLER_TRANSACTIONS } from "./teller";
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2025, 10, 5, 9, 0);
+
+const catalog = buildCatalog([
+  {
+    name: "2GB",
+    sizeMb: 2048,
+    serviceNames: ["MTN 2GB"],
+    gigValues: ["2"],
+    prices: [],
+  },
+]);
+
+const at = (minutes) => Timestamp.fromMillis(START + minutes * MINUTE);
+
+const website = (id, number, minutes, extra = {}) => ({
+  collection: "webite_purchase",
+  id,
+  data: {
+    recipientNumber: number,
+    serviceName: "MTN 2GB",
+    createdAt: at(minutes),
+    ...extra,
+  },
+});
+
+const ussd = (id, number, minutes, extra = {}) => ({
+  collection: "delivery_queue",
+  id,
+  data: { msisdn: number, gig: "2", createdAt: at(minutes), ...extra },
+});
+
+const teller = (id, number, minutes, extra = {}) => ({
+  collection: TELLER_TRANSACTIONS,
+  id,
+  data: {
+    recipient_number: number,
+    desc: "MTN 2GB",
+    createdAt: at(minutes),
+    ...extra,
+  },
+});
+
+const ids = (group) => group.records.map((r) => r.id);
+
+test("every source is checked for duplicates, teller payments included", () => {
+  expect(DUPLICATE_CHANNELS).toEqual(
+    expect.arrayContaining(["entries", "delivery_queue", TELLER_TRANSACTIONS])
+  );
+});
+
+describe("groupDuplicates", () => {
+  test("groups one number and size across channels and number forms", () => {
+    const groups = groupDuplicates(
+      [website("w1", "0241234567", 0), ussd("u1", "233241234567", 5)],
+      catalog
+    );
+    expect(groups).toHaveLength(1);
+    expect(groups[0].number).toBe("0241234567");
+    expect(groups[0].sizeMb).toBe(2048);
+    expect(ids(groups[0])).toEqual(["w1", "u1"]);
+  });
+
+  test("does not group a teller payment with the order it paid for", () => {
+    const groups = groupDuplicates(
+      [website("w1", "0241234567", 0), teller("t1", "0241234567", 2)],
+      catalog
+    );
+    expect(groups).toEqual([]);
+  });
+
+  test("groups two teller payments for one number and size", () => {
+    const groups = groupDuplicates(
+      [
+        website("w1", "0241234567", 0),
+        teller("t1", "0241234567", 2),
+        teller("t2", "0241234567", 4),
+      ],
+      catalog
+    );
+    expect(groups.map(ids)).toEqual([["t1", "t2"]]);
+  });
+
+  test("leaves out records further apart than the window", () => {
+    const groups = groupDuplicates(
+      [website("w1", "0241234567", 0), website("w2", "0241234567", 16)],
+      catalog
+    );
+    expect(groups).toEqual([]);
+  });
+
+  test("chains records each within the window of the one before", () => {
+    const groups = groupDuplicates(
+      [
+        website("w1", "0241234567", 0),
+        website("w2", "0241234567", 10),
+        website("w3", "0241234567", 20),
+        website("w4", "0241234567", 60),
+      ],
+      catalog
+    );
+    expect(groups.map(ids)).toEqual([["w1", "w2", "w3"]]);
+  });
+
+  test("does not group different sizes or different numbers", () => {
+    const groups = groupDuplicates(
+      [
+        website("w1", "0241234567", 0),
+        website("w2", "0241234567", 1, { serviceName: "MTN 5GB" }),
+        website("w3", "0551234567", 2),
+      ],
+      catalog
+    );
+    expect(groups).toEqual([]);
+  });
+
+  test("skips dismissed records, invalid numbers and missing times", () => {
+    const groups = groupDuplicates(
+      [
+        website("w1", "0241234567", 0),
+        website("w2", "0241234567", 1, {
+          duplicateCheck: { status: DUPLICATE_STATUSES.DISMISSED },
+        }),
+        website("w3", "12345", 1),
+        website("w4", "12345", 2),
+        website("w5", "0241234567", 2, { createdAt: null }),
+      ],
+      catalog
+    );
+    expect(groups).toEqual([]);
+  });
+
+  test("lists the newest group first", () => {
+    const groups = groupDuplicates(
+      [
+        website("w1", "0241234567", 0),
+        website("w2", "0241234567", 1),
+        website("w3", "0551234567", 30),
+        website("w4", "0551234567", 31),
+      ],
+      catalog
+    );
+    expect(groups.map(ids)).toEqual([
+      ["w3", "w4"],
+      ["w1", "w2"],
+    ]);
+  });
+});
+
+describe("unresolvedDuplicateIds", () => {
+  const held = { duplicateCheck: { status: DUPLICATE_STATUSES.HELD } };
+
+  test("names the unheld records of one queue in unresolved groups", () => {
+    const groups = groupDuplicates(
+      [
+        website("w1", "0241234567", 0),
+        ussd("u1", "0241234567", 1),
+        ussd("u2", "0241234567", 2),
+      ],
+      catalog
+    );
+    expect(isResolved(groups[0])).toBe(false);
+    expect(unresolvedDuplicateIds(groups, "delivery_queue")).toEqual(
+      new Set(["u1", "u2"])
+    );
+  });
+
+  test("a group with every record but one held is resolved", () => {
+    const groups = groupDuplicates(
+      [website("w1", "0241234567", 0), ussd("u1", "0241234567", 1, held)],
+      catalog
+    );
+    expect(isResolved(groups[0])).toBe(true);
+    expect(unresolvedDuplicateIds(groups, "webite_purchase").size).toBe(0);
+  });
+});
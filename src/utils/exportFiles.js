@@ -0,0 +1,340 @@
+// utils/exportFiles.js
+import * as XLSX from "xlsx";
+import JSZip from "jszip";
+import { Parser } from "@json2csv/plainjs";
+
+// How a large export is laid out on disk: one file, or files of at most
+// `rowsPerFile` rows, downloaded one by one or in a zip archive
+export const EXPORT_LAYOUTS = {
+  SINGLE: "single",
+  PARTS: "parts",
+  ZIP: "zip",
+};
+
+export const DEFAULT_LAYOUT_OPTIONS = {
+  layout: EXPORT_LAYOUTS.SINGLE,
+  rowsPerFile: 1000,
+};
+
+export const EXPORT_FORMATS = {
+  XLSX: "xlsx",
+  XLSX_SUMMARY: "xlsx_summary",
+  CSV: "csv",
+  JSON: "json",
+};
+
+export const CSV_DELIMITERS = {
+  ",": "Comma",
+  ";": "Semicolon",
+  "\t": "Tab",
+};
+
+export const DEFAULT_FORMAT_OPTIONS = {
+  format: EXPORT_FORMATS.XLSX,
+  delimiter: ",",
+  bom: false,
+};
+
+// Splitting an export into groups, each a sheet of one workbook or a file
+export const SPLIT_KEYS = {
+  NONE: "",
+  NETWORK: "network",
+  GB: "gb",
+  BOTH: "both",
+};
+
+export const SPLIT_MODES = {
+  SHEETS: "sheets",
+  FILES: "files",
+};
+
+export const DEFAULT_SPLIT_OPTIONS = {
+  splitBy: SPLIT_KEYS.NONE,
+  splitMode: SPLIT_MODES.FILES,
+};
+
+export const canSplitIntoSheets = ({ format }) =>
+  format === EXPORT_FORMATS.XLSX || format === EXPORT_FORMATS.XLSX_SUMMARY;
+
+/**
+ * The options with no split unless `splitKeys` (what the queue can be split
+ * by) offers the chosen one; a split picked on another tab may not apply.
+ */
+export const resolveSplit = (splitKeys, options) => ({
+  ...options,
+  splitBy: splitKeys.includes(options.splitBy)
+    ? options.splitBy
+    : SPLIT_KEYS.NONE,
+});
+
+/** True when the export comes out as one workbook with a sheet per group. */
+export const splitsIntoSheets = (options) =>
+  !!options.splitBy &&
+  options.splitMode === SPLIT_MODES.SHEETS &&
+  canSplitIntoSheets(options);
+
+const XLSX_MIME =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const toXlsxBlob = (wb) =>
+  new Blob([XLSX.write(wb, { type: "array", bookType: "xlsx" })], {
+    type: XLSX_MIME,
+  });
+
+// Sheet names: at most 31 characters, none of \ / ? * [ ] :
+const sheetName = (name) => name.replace(/[\\/?*[\]:]/g, "-").slice(0, 31);
+
+// `sheets` is [{ name, rows }]; a plain export is a single sheet named after
+// `columns.sheetName`, "Sheet1" by default
+const buildWorkbook = (sheets, headers) => {
+  const wb = XLSX.utils.book_new();
+  sheets.forEach(({ name, rows }) =>
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.json_to_sheet(rows, { header: headers }),
+      sheetName(name)
+    )
+  );
+  return wb;
+};
+
+// Row count plus a total for each column listed in `totals`
+const summaryRows = (data, totals = []) => [
+  { Metric: "Rows", Value: data.length },
+  ...totals.map((column) => ({
+    Metric: `Total ${column}`,
+    Value: data.reduce((acc, row) => acc + (Number(row[column]) || 0), 0),
+  })),
+];
+
+const buildSummaryWorkbook = (sheets, { headers, totals }) => {
+  const wb = buildWorkbook(sheets, headers);
+  const data = sheets.flatMap((sheet) => sheet.rows);
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.json_to_sheet(summaryRows(data, totals), {
+      header: ["Metric", "Value"],
+    }),
+    "Summary"
+  );
+  return wb;
+};
+
+// Turns rows into a file body. `columns` is the queue's EXPORT_COLUMNS entry.
+// Workbook formats also take `sheets` ([{ name, rows }]) in place of rows.
+const FORMATS = {
+  [EXPORT_FORMATS.XLSX]: {
+    label: "Excel (.xlsx)",
+    extension: "xlsx",
+    serialize: (data, columns, options, sheets) =>
+      toXlsxBlob(
+        buildWorkbook(
+          sheets || [{ name: columns.sheetName || "Sheet1", rows: data }],
+          columns.headers
+        )
+      ),
+  },
+  [EXPORT_FORMATS.XLSX_SUMMARY]: {
+    label: "Excel with summary sheet",
+    extension: "xlsx",
+    serialize: (data, columns, options, sheets) =>
+      toXlsxBlob(
+        buildSummaryWorkbook(
+          sheets || [{ name: columns.sheetName || "Data", rows: data }],
+          columns
+        )
+      ),
+  },
+  [EXPORT_FORMATS.CSV]: {
+    label: "CSV",
+    extension: "csv",
+    serialize: (data, columns, { delimiter, bom }) =>
+      new Blob(
+        [
+          new Parser({
+            fields: columns.headers,
+            delimiter,
+            withBOM: bom,
+          }).parse(data),
+        ],
+        { type: "text/csv;charset=utf-8" }
+      ),
+  },
+  [EXPORT_FORMATS.JSON]: {
+    label: "JSON",
+    extension: "json",
+    serialize: (data) =>
+      new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+  },
+};
+
+export const FORMAT_LABELS = Object.fromEntries(
+  Object.entries(FORMATS).map(([key, f]) => [key, f.label])
+);
+
+const chunkRows = (data, size) => {
+  const parts = [];
+  for (let i = 0; i < data.length; i += size) {
+    parts.push(data.slice(i, i + size));
+  }
+  return parts.length ? parts : [[]];
+};
+
+// "Numbers_2025-11-05_1432" -> "Numbers_2025-11-05_1432_part02of12"
+const partName = (fileName, i, count) => {
+  const width = String(count).length;
+  const n = (k) => String(k).padStart(width, "0");
+  return `${fileName}_part${n(i + 1)}of${n(count)}`;
+};
+
+const downloadBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * What a file is written with, minus the `toRow` function, as saved on its
+ * batch so a re-download can write the same file again. Takes resolved
+ * options.
+ */
+export const fileSettings = (columns, options) => ({
+  columns: {
+    headers: columns.headers,
+    sheetName: columns.sheetName || null,
+    totals: columns.totals || [],
+  },
+  options: {
+    format: options.format,
+    delimiter: options.delimiter,
+    bom: options.bom,
+    layout: options.layout,
+    rowsPerFile: options.rowsPerFile,
+    splitBy: options.splitBy,
+    splitMode: options.splitMode,
+  },
+});
+
+/** Name recorded on the batch for `data` written with these options. */
+export const exportFileName = (data, groups, fileName, options) =>
+  !splitsIntoSheets(options) &&
+  isZipped(planFiles(data, groups, fileName, options), options)
+    ? `${fileName}.zip`
+    : `${fileName}.${FORMATS[options.format].extension}`;
+
+/** The format a past batch was written in, going by its file name. */
+export const formatFromFileName = (name = "") => {
+  if (name.endsWith(".csv")) return EXPORT_FORMATS.CSV;
+  if (name.endsWith(".json")) return EXPORT_FORMATS.JSON;
+  return EXPORT_FORMATS.XLSX;
+};
+
+// Group label of a row from its record's `{ network, size }`, e.g. "MTN",
+// "5GB" or "MTN 5GB"
+const groupLabel = ({ network, size } = {}, splitBy) => {
+  const parts = [];
+  if (splitBy === SPLIT_KEYS.NETWORK || splitBy === SPLIT_KEYS.BOTH) {
+    parts.push(network || "Unknown");
+  }
+  if (splitBy === SPLIT_KEYS.GB || splitBy === SPLIT_KEYS.BOTH) {
+    parts.push(size || "Unknown size");
+  }
+  return parts.join(" ");
+};
+
+/**
+ * `[{ name, rows }]` in first-seen order; one unnamed group without a split.
+ * `groups[i]` is the `{ network, size }` of the record behind `data[i]`.
+ */
+export const groupRows = (data, groups, splitBy) => {
+  if (!splitBy) return [{ name: null, rows: data }];
+  const byName = new Map();
+  data.forEach((row, i) => {
+    const name = groupLabel(groups[i], splitBy);
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(row);
+  });
+  return [...byName].map(([name, rows]) => ({ name, rows }));
+};
+
+// "Numbers_2025-11-05_1432" + "MTN 5GB" -> "Numbers_2025-11-05_1432_MTN_5GB"
+const groupFileName = (fileName, name) =>
+  name ? `${fileName}_${name.replace(/[^A-Za-z0-9-]+/g, "_")}` : fileName;
+
+// `[{ name, rows }]`: one file per group (or for the whole export), or with
+// a parts layout one per `rowsPerFile` rows of each group
+const planFiles = (data, groups, fileName, options) => {
+  const { extension } = FORMATS[options.format];
+  return groupRows(data, groups, options.splitBy).flatMap(({ name, rows }) => {
+    const base = groupFileName(fileName, name);
+    if (options.layout === EXPORT_LAYOUTS.SINGLE) {
+      return [{ name: `${base}.${extension}`, rows }];
+    }
+    const parts = chunkRows(rows, options.rowsPerFile);
+    return parts.map((part, i) => ({
+      name: `${partName(base, i, parts.length)}.${extension}`,
+      rows: part,
+    }));
+  });
+};
+
+// The zip layout always zips; one file per group is zipped too when there
+// are several groups. Only the parts layout downloads files one by one.
+const isZipped = (files, { layout }) =>
+  layout === EXPORT_LAYOUTS.ZIP ||
+  (layout === EXPORT_LAYOUTS.SINGLE && files.length > 1);
+
+// Browsers drop downloads started together, so parts go one at a time
+const DOWNLOAD_GAP_MS = 400;
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Writes `data` in the chosen format. Split into sheets, it is one workbook
+ * with a sheet per group. Otherwise each group (or the whole export) is one
+ * file, or one file per `rowsPerFile` rows; the parts layout downloads them
+ * one after another, else several files are bundled into one zip archive.
+ * Takes resolved options; splits need `groups`, see `groupRows`.
+ */
+export const writeExport = async (
+  data,
+  fileName,
+  columns,
+  options,
+  groups = []
+) => {
+  const { extension, serialize } = FORMATS[options.format];
+
+  if (splitsIntoSheets(options)) {
+    downloadBlob(
+      serialize(
+        data,
+        columns,
+        options,
+        groupRows(data, groups, options.splitBy)
+      ),
+      `${fileName}.${extension}`
+    );
+    return;
+  }
+
+  const files = planFiles(data, groups, fileName, options);
+  if (!isZipped(files, options)) {
+    for (const [i, file] of files.entries()) {
+      if (i > 0) await pause(DOWNLOAD_GAP_MS);
+      downloadBlob(serialize(file.rows, columns, options), file.name);
+    }
+    return;
+  }
+
+  const zip = new JSZip();
+  files.forEach((file) =>
+    zip.file(file.name, serialize(file.rows, columns, options))
+  );
+  downloadBlob(await zip.generateAsync({ type: "blob" }), `${fileName}.zip`);
+};
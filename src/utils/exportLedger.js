@@ -0,0 +1,476 @@
+// utils/exportLedger.js
+import {
+  collection,
+  doc,
+  setDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  documentId,
+  writeBatch,
+  runTransaction,
+  serverTimestamp,
+  deleteField,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+
+export const EXPORT_BATCHES = "export_batches";
+export const AUDIT_LOG = "audit_log";
+
+// Record lifecycle: pending -> exporting (leased to a batch) -> exported.
+// Records written by the backend have no `exportState` and count as pending.
+export const EXPORT_STATES = {
+  PENDING: "pending",
+  EXPORTING: "exporting",
+  EXPORTED: "exported",
+};
+
+// Batch lifecycle: exporting -> exported, or exporting -> released when the
+// file could not be produced or the lease ran out.
+export const BATCH_STATUSES = {
+  EXPORTING: "exporting",
+  EXPORTED: "exported",
+  RELEASED: "released",
+};
+
+// How long a batch may hold its records before recovery hands them back.
+// Exports still running renew their leases every LEASE_RENEWAL_MS.
+export const EXPORT_LEASE_MS = 10 * 60 * 1000;
+export const LEASE_RENEWAL_MS = EXPORT_LEASE_MS / 3;
+
+// Firestore caps `in` filters at 30 values
+const IN_QUERY_LIMIT = 30;
+
+// The rows a batch's file was written from, and the ids of the records behind
+// them, are kept under the batch, this many to a document so large exports
+// stay under the 1 MiB document limit
+export const BATCH_ROWS = "rows";
+const ROWS_PER_PART = 500;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "Numbers" -> "Numbers_2025-11-05_1432", so every batch has its own file name
+export const stampFileName = (base, date = new Date()) =>
+  `${base}_${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}_${pad(date.getHours())}${pad(date.getMinutes())}`;
+
+export const describeOperator = (user) => ({
+  uid: user?.uid || null,
+  email: user?.email || null,
+  name: user?.displayName || null,
+});
+
+// Batches written before the state machine existed have no status
+export const batchStatus = (batch) => batch.status || BATCH_STATUSES.EXPORTED;
+
+/**
+ * Time of the most recent finished export from a collection, or null.
+ * Batches from before batch statuses existed are not counted.
+ */
+export const fetchLastExportAt = async (collectionName) => {
+  const snap = await getDocs(
+    query(
+      collection(db, EXPORT_BATCHES),
+      where("collection", "==", collectionName),
+      where("status", "==", BATCH_STATUSES.EXPORTED),
+      orderBy("createdAt", "desc"),
+      limit(1)
+    )
+  );
+  if (snap.empty) return null;
+  const last = snap.docs[0].data();
+  return last.exportedAt || last.createdAt;
+};
+
+/** False while another batch holds an unexpired lease on the record. */
+export const isClaimable = (row, now = Date.now()) =>
+  row.exportState !== EXPORT_STATES.EXPORTING ||
+  !row.exportLeaseExpiresAt ||
+  row.exportLeaseExpiresAt.toMillis() <= now;
+
+// A batch still renewing its lease, i.e. an export that is still running
+const isRunning = (batch, now) =>
+  batchStatus(batch) === BATCH_STATUSES.EXPORTING &&
+  batch.leaseExpiresAt?.toMillis() > now;
+
+/**
+ * A check, over record data, for the records of `rows` that an export still
+ * holds. A running export renews its batch's lease rather than each
+ * record's, so records whose own lease has run out are held for as long as
+ * their batch is running or once it has been exported.
+ */
+export const fetchLeaseCheck = async (rows, now = Date.now()) => {
+  const batchIds = [
+    ...new Set(
+      rows
+        .filter(
+          (row) =>
+            row.exportState === EXPORT_STATES.EXPORTING &&
+            row.exportBatchId &&
+            isClaimable(row, now)
+        )
+        .map((row) => row.exportBatchId)
+    ),
+  ];
+  const snaps = await Promise.all(
+    batchIds.map((id) => getDoc(doc(db, EXPORT_BATCHES, id)))
+  );
+  const holding = new Set(
+    snaps
+      .filter(
+        (snap) =>
+          snap.exists() &&
+          (batchStatus(snap.data()) === BATCH_STATUSES.EXPORTED ||
+            isRunning(snap.data(), now))
+      )
+      .map((snap) => snap.id)
+  );
+  return (row) =>
+    !isClaimable(row, now) ||
+    (row.exportState === EXPORT_STATES.EXPORTING &&
+      holding.has(row.exportBatchId));
+};
+
+// `onChunk(done)` is called after each committed batch
+const updateInChunks = async (refs, patch, batchSize, onChunk) => {
+  for (let i = 0; i < refs.length; i += batchSize) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + batchSize).forEach((ref) => batch.update(ref, patch));
+    await batch.commit();
+    if (onChunk) onChunk(Math.min(i + batchSize, refs.length));
+  }
+};
+
+const completeRecords = (docs, batchSize, onChunk) =>
+  updateInChunks(
+    docs.map((d) => d.ref),
+    {
+      exported: true,
+      exportState: EXPORT_STATES.EXPORTED,
+      exportLeaseExpiresAt: deleteField(),
+    },
+    batchSize,
+    onChunk
+  );
+
+// Reports `{ phase, done, total }` to an optional progress callback
+const phaseReporter = (onProgress, phase, total) => (done) => {
+  if (onProgress) onProgress({ phase, done, total });
+};
+
+const releasePatch = () => ({
+  exportState: EXPORT_STATES.PENDING,
+  exportBatchId: deleteField(),
+  exportLeaseExpiresAt: deleteField(),
+});
+
+/**
+ * Phase one: records the batch in `export_batches`, with the `file` it is
+ * about to be written as (`{ rows, groups, columns, options }`, a row per
+ * doc), and leases its records to it. The records stay `exported: false` until `finalizeExport`.
+ */
+export const claimForExport = async ({
+  docs,
+  collectionName,
+  fileName,
+  operator,
+  templateId,
+  file,
+  batchRef = doc(collection(db, EXPORT_BATCHES)),
+  batchSize = 500,
+  onProgress,
+}) => {
+  const leaseExpiresAt = Timestamp.fromMillis(Date.now() + EXPORT_LEASE_MS);
+
+  await setDoc(batchRef, {
+    operator,
+    createdAt: serverTimestamp(),
+    collection: collectionName,
+    rowCount: docs.length,
+    fileName,
+    status: BATCH_STATUSES.EXPORTING,
+    leaseExpiresAt,
+    ...(templateId ? { templateId } : {}),
+    // Re-downloads write the saved rows with the same columns and options
+    fileColumns: file.columns,
+    fileOptions: file.options,
+    rowParts: Math.ceil(docs.length / ROWS_PER_PART),
+  });
+
+  for (let i = 0; i < docs.length; i += ROWS_PER_PART) {
+    await setDoc(doc(batchRef, BATCH_ROWS, String(i / ROWS_PER_PART)), {
+      index: i / ROWS_PER_PART,
+      recordIds: docs.slice(i, i + ROWS_PER_PART).map((d) => d.id),
+      rows: file.rows.slice(i, i + ROWS_PER_PART),
+      groups: file.groups.slice(i, i + ROWS_PER_PART),
+    });
+  }
+
+  await updateInChunks(
+    docs.map((d) => d.ref),
+    {
+      exportState: EXPORT_STATES.EXPORTING,
+      exportBatchId: batchRef.id,
+      exportLeaseExpiresAt: leaseExpiresAt,
+    },
+    batchSize,
+    phaseReporter(onProgress, "claiming", docs.length)
+  );
+
+  return batchRef.id;
+};
+
+/**
+ * Phase two, once the file exists. The batch is flipped first: from then on
+ * recovery completes the batch instead of releasing it. Throws, marking
+ * nothing, if the batch has meanwhile been released.
+ */
+export const finalizeExport = async (
+  batchId,
+  docs,
+  batchSize = 500,
+  onProgress
+) => {
+  const ref = doc(db, EXPORT_BATCHES, batchId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (batchStatus(snap.data()) !== BATCH_STATUSES.EXPORTING) {
+      throw new Error(
+        "the batch's lease ran out and its records went back to the queue, so none were marked exported"
+      );
+    }
+    tx.update(ref, {
+      status: BATCH_STATUSES.EXPORTED,
+      exportedAt: serverTimestamp(),
+    });
+  });
+  await completeRecords(
+    docs,
+    batchSize,
+    phaseReporter(onProgress, "finalizing", docs.length)
+  );
+};
+
+/** Hands a batch's records back to the queue without exporting them. */
+export const releaseExport = async (batchId, docs, reason, batchSize = 500) => {
+  await updateInChunks(
+    docs.map((d) => d.ref),
+    releasePatch(),
+    batchSize
+  );
+  await updateDoc(doc(db, EXPORT_BATCHES, batchId), {
+    status: BATCH_STATUSES.RELEASED,
+    releasedAt: serverTimestamp(),
+    releaseReason: reason,
+  });
+};
+
+/** Pushes an in-flight batch's lease out by another EXPORT_LEASE_MS. */
+export const renewBatchLease = (batchId) =>
+  updateDoc(doc(db, EXPORT_BATCHES, batchId), {
+    leaseExpiresAt: Timestamp.fromMillis(Date.now() + EXPORT_LEASE_MS),
+  });
+
+/**
+ * Claims `docs`, runs `writeFile` and only then marks them exported. If the
+ * file cannot be written the records are released and the error rethrown.
+ * The batch's lease is renewed for as long as this runs. `onProgress` hears
+ * `{ phase, done, total }` as the claiming, writing and finalizing phases
+ * move along. Returns the batch id.
+ */
+export const runExport = async ({
+  writeFile,
+  batchSize = 500,
+  onProgress,
+  ...claim
+}) => {
+  const batchRef = doc(collection(db, EXPORT_BATCHES));
+  // A renewal that fails leaves the lease to run out, which finalizing notices
+  const renewal = setInterval(
+    () => renewBatchLease(batchRef.id).catch(() => {}),
+    LEASE_RENEWAL_MS
+  );
+  try {
+    await claimForExport({ ...claim, batchRef, batchSize, onProgress });
+    phaseReporter(onProgress, "writing", claim.docs.length)(0);
+    try {
+      await writeFile();
+    } catch (e) {
+      await releaseExport(batchRef.id, claim.docs, e.message, batchSize);
+      throw e;
+    }
+    await finalizeExport(batchRef.id, claim.docs, batchSize, onProgress);
+    return batchRef.id;
+  } finally {
+    clearInterval(renewal);
+  }
+};
+
+/**
+ * Cleans up after exports that never finished (closed tab, crash). Records
+ * whose batch reached `exported` are completed; records whose lease has run
+ * out are released, unless their batch is still renewing its lease. Returns
+ * how many records were touched.
+ */
+export const recoverStuckExports = async (collectionName, batchSize = 500) => {
+  const snap = await getDocs(
+    query(
+      collection(db, collectionName),
+      where("exportState", "==", EXPORT_STATES.EXPORTING)
+    )
+  );
+  if (snap.empty) return 0;
+
+  const byBatch = {};
+  snap.docs.forEach((d) => {
+    const id = d.data().exportBatchId || "";
+    (byBatch[id] = byBatch[id] || []).push(d);
+  });
+
+  const now = Date.now();
+  let touched = 0;
+  for (const [batchId, docs] of Object.entries(byBatch)) {
+    const batchSnap = batchId
+      ? await getDoc(doc(db, EXPORT_BATCHES, batchId))
+      : null;
+    const status = batchSnap?.exists() ? batchStatus(batchSnap.data()) : null;
+
+    if (status === BATCH_STATUSES.EXPORTED) {
+      await completeRecords(docs, batchSize);
+      touched += docs.length;
+      continue;
+    }
+    if (
+      status === BATCH_STATUSES.EXPORTING &&
+      isRunning(batchSnap.data(), now)
+    ) {
+      continue;
+    }
+
+    const expired = docs.filter((d) => isClaimable(d.data(), now));
+    if (expired.length === 0) continue;
+    await updateInChunks(
+      expired.map((d) => d.ref),
+      releasePatch(),
+      batchSize
+    );
+    if (status === BATCH_STATUSES.EXPORTING) {
+      await updateDoc(doc(db, EXPORT_BATCHES, batchId), {
+        status: BATCH_STATUSES.RELEASED,
+        releasedAt: serverTimestamp(),
+        releaseReason: "Lease expired",
+      });
+    }
+    touched += expired.length;
+  }
+  return touched;
+};
+
+// A batch's row parts in order, or null for batches exported before rows
+// were kept
+const getRowParts = async (batch) => {
+  if (!batch.rowParts) return null;
+  const snap = await getDocs(
+    query(
+      collection(db, EXPORT_BATCHES, batch.id, BATCH_ROWS),
+      orderBy("index")
+    )
+  );
+  if (snap.size !== batch.rowParts) {
+    throw new Error(
+      `${batch.rowParts - snap.size} of ${batch.rowParts} row parts are missing`
+    );
+  }
+  return snap.docs.map((d) => d.data());
+};
+
+// Ids of a batch's records in the order they were exported. Batches from
+// before the ids moved to the row parts list them on the batch itself.
+const getBatchRecordIds = async (batch) => {
+  if (batch.recordIds) return batch.recordIds;
+  const parts = await getRowParts(batch);
+  return parts ? parts.flatMap((part) => part.recordIds || []) : [];
+};
+
+// Snapshots of a batch's records, in the order they were exported
+const getBatchDocs = async (batch) => {
+  const ids = await getBatchRecordIds(batch);
+  const byId = {};
+  for (let i = 0; i < ids.length; i += IN_QUERY_LIMIT) {
+    const q = query(
+      collection(db, batch.collection),
+      where(documentId(), "in", ids.slice(i, i + IN_QUERY_LIMIT))
+    );
+    const snap = await getDocs(q);
+    snap.docs.forEach((d) => {
+      byId[d.id] = d;
+    });
+  }
+  const missing = ids.filter((id) => !byId[id]).length;
+  if (missing > 0) {
+    throw new Error(`${missing} of ${ids.length} records no longer exist`);
+  }
+  return ids.map((id) => byId[id]);
+};
+
+/**
+ * `{ rows, groups, columns, options }` a past batch's file was written with,
+ * or null for batches exported before files were kept.
+ */
+export const fetchBatchFile = async (batch) => {
+  const parts = await getRowParts(batch);
+  if (!parts) return null;
+  return {
+    rows: parts.flatMap((part) => part.rows),
+    groups: parts.flatMap((part) => part.groups || []),
+    columns: batch.fileColumns,
+    options: batch.fileOptions,
+  };
+};
+
+/** Record data for a past batch, ready to run through its export columns. */
+export const fetchBatchRecords = async (batch) =>
+  (await getBatchDocs(batch)).map((d) => d.data());
+
+/**
+ * Puts a batch's records back in the queue (`exported: false`) and stamps the
+ * batch as reopened, with a matching `audit_log` entry. Records that have
+ * since been exported again under another batch are left alone.
+ */
+export const reopenBatch = async (batch, operator, batchSize = 500) => {
+  const docs = (await getBatchDocs(batch)).filter(
+    (d) => d.data().exportBatchId === batch.id
+  );
+
+  await updateInChunks(
+    docs.map((d) => d.ref),
+    { exported: false, ...releasePatch() },
+    batchSize
+  );
+
+  const wb = writeBatch(db);
+  wb.update(doc(db, EXPORT_BATCHES, batch.id), {
+    reopened: {
+      at: serverTimestamp(),
+      by: operator,
+      recordCount: docs.length,
+    },
+  });
+  wb.set(doc(collection(db, AUDIT_LOG)), {
+    action: "reopen_batch",
+    batchId: batch.id,
+    collection: batch.collection,
+    recordCount: docs.length,
+    operator,
+    createdAt: serverTimestamp(),
+  });
+  await wb.commit();
+
+  return docs.length;
+};
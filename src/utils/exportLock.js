@@ -0,0 +1,114 @@
+// utils/exportLock.js
+// One export per collection at a time. The lock lives in
+// `export_locks/{collection}` and is taken inside a transaction, so two
+// operators clicking "Download" together cannot both read the same queue.
+import {
+  collection,
+  doc,
+  getDoc,
+  runTransaction,
+  serverTimestamp,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { EXPORT_LEASE_MS, LEASE_RENEWAL_MS } from "./exportLedger";
+
+export const EXPORT_LOCKS = "export_locks";
+
+export class ExportLockedError extends Error {
+  constructor(holder) {
+    super(
+      `Export in progress by ${
+        holder?.name || holder?.email || "another operator"
+      }. Try again once it has finished.`
+    );
+    this.name = "ExportLockedError";
+    this.holder = holder;
+  }
+}
+
+// Locks outlive a crashed tab by at most one lease; a running export keeps
+// renewing its lock
+const isLive = (lock, now = Date.now()) =>
+  !!lock?.expiresAt && lock.expiresAt.toMillis() > now;
+
+/** The lock currently held on a collection, or null. */
+export const getActiveExportLock = async (collectionName) => {
+  const snap = await getDoc(doc(db, EXPORT_LOCKS, collectionName));
+  return snap.exists() && isLive(snap.data()) ? snap.data() : null;
+};
+
+/** Takes the lock or throws ExportLockedError. Returns the release token. */
+export const acquireExportLock = async (collectionName, operator) => {
+  const ref = doc(db, EXPORT_LOCKS, collectionName);
+  const token = doc(collection(db, EXPORT_LOCKS)).id;
+
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (snap.exists() && isLive(snap.data())) {
+      throw new ExportLockedError(snap.data().operator);
+    }
+    tx.set(ref, {
+      operator,
+      token,
+      acquiredAt: serverTimestamp(),
+      expiresAt: Timestamp.fromMillis(Date.now() + EXPORT_LEASE_MS),
+    });
+  });
+
+  return token;
+};
+
+/** Releases the lock, unless it has since expired and been taken by someone else. */
+export const releaseExportLock = async (collectionName, token) => {
+  const ref = doc(db, EXPORT_LOCKS, collectionName);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (snap.exists() && snap.data().token === token) tx.delete(ref);
+  });
+};
+
+/**
+ * Pushes the lock's expiry out by another lease while the token still holds
+ * it. Resolves to false once someone else has taken the lock.
+ */
+export const renewExportLock = (collectionName, token) => {
+  const ref = doc(db, EXPORT_LOCKS, collectionName);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists() || snap.data().token !== token) return false;
+    tx.update(ref, {
+      expiresAt: Timestamp.fromMillis(Date.now() + EXPORT_LEASE_MS),
+    });
+    return true;
+  });
+};
+
+/**
+ * Runs `fn` holding the collection's lock. `fn` is given `keepLock()`, to
+ * call before going on after a pause (e.g. waiting on the operator), which
+ * throws if the lock has meanwhile gone to someone else.
+ */
+export const withExportLock = async (collectionName, operator, fn) => {
+  const token = await acquireExportLock(collectionName, operator);
+  // A missed renewal is retried on the next tick. Should the lock lapse all
+  // the same, the records stay safe: the batch renews its own lease, and
+  // exports leave out records whose batch is still running
+  const renewal = setInterval(
+    () => renewExportLock(collectionName, token).catch(() => {}),
+    LEASE_RENEWAL_MS
+  );
+  const keepLock = async () => {
+    if (!(await renewExportLock(collectionName, token))) {
+      throw new Error(
+        "the export lock lapsed while waiting and another export has started; nothing was exported"
+      );
+    }
+  };
+  try {
+    return await fn(keepLock);
+  } finally {
+    clearInterval(renewal);
+    await releaseExportLock(collectionName, token);
+  }
+};
@@ -0,0 +1,142 @@
+// utils/exportTemplates.js
+// Named export layouts for the telco bulk-upload portals, kept in
+// `export_templates` and edited by admins. A template picks which record
+// fields become columns, what each header says, how numbers are written and
+// whether data sizes are in GB or MB. `templateColumns` turns one into the
+// same shape as an EXPORT_COLUMNS entry, so exports and re-downloads treat
+// templates and the built-in layouts alike.
+import {
+  collection,
+  doc,
+  getDocs,
+  addDoc,
+  setDoc,
+  deleteDoc,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { formatPhoneNumber, parsePhone } from "./phone";
+import { mbToGb } from "./bundleCatalog";
+import { SOURCE_LIST, EXPORT_COLUMNS } from "./sources";
+
+export const EXPORT_TEMPLATES = "export_templates";
+
+export const FIELD_LABELS = {
+  phone: "Phone number",
+  network: "Network provider",
+  gb: "Data size",
+  amount: "Amount",
+  externalRef: "Reference",
+  createdAt: "Created at",
+};
+
+// Where each template field comes from, per queue. Queues without a network
+// field get the one their numbers' prefixes point to; sizes are in MB, from
+// the bundle catalog or as the record states them.
+export const TEMPLATE_FIELDS = Object.fromEntries(
+  SOURCE_LIST.map((source) => [source.collectionName, source.templateFields])
+);
+
+export const PHONE_FORMATS = {
+  LOCAL: "local",
+  INTERNATIONAL: "international",
+  PLUS: "plus",
+};
+
+export const PHONE_FORMAT_LABELS = {
+  [PHONE_FORMATS.LOCAL]: "0XX XXX XXXX",
+  [PHONE_FORMATS.INTERNATIONAL]: "233XX XXX XXXX",
+  [PHONE_FORMATS.PLUS]: "+233XX XXX XXXX",
+};
+
+export const UNITS = { GB: "GB", MB: "MB" };
+
+const formatPhone = (number, phoneFormat) => {
+  const { international } = parsePhone(number);
+  if (!international) return formatPhoneNumber(number);
+  if (phoneFormat === PHONE_FORMATS.INTERNATIONAL) return international;
+  if (phoneFormat === PHONE_FORMATS.PLUS) return `+${international}`;
+  return formatPhoneNumber(number);
+};
+
+const formatValue = (value, column, template) => {
+  if (column.field === "phone") return formatPhone(value, template.phoneFormat);
+  if (value == null || value === "" || value === "N/A") return "N/A";
+  if (column.field === "gb") {
+    return column.unit === UNITS.MB ? value : mbToGb(value);
+  }
+  if (column.field === "createdAt") {
+    return value.toDate ? value.toDate().toLocaleString() : "N/A";
+  }
+  return value;
+};
+
+/** A blank template for a queue, with one column per available field. */
+export const newTemplate = (collectionName) => ({
+  name: "",
+  collection: collectionName,
+  sheetName: "Sheet1",
+  phoneFormat: PHONE_FORMATS.LOCAL,
+  columns: Object.keys(TEMPLATE_FIELDS[collectionName])
+    .filter((field) => field !== "createdAt")
+    .map((field) => ({ field, label: FIELD_LABELS[field], unit: UNITS.GB })),
+});
+
+/** A template as an EXPORT_COLUMNS-style entry, plus its `templateId`. */
+export const templateColumns = (template) => {
+  const fields = TEMPLATE_FIELDS[template.collection];
+  const columns = template.columns.filter((c) => fields[c.field]);
+
+  return {
+    templateId: template.id,
+    baseFileName: `${
+      EXPORT_COLUMNS[template.collection].baseFileName
+    }_${template.name.replace(/[^A-Za-z0-9-]+/g, "_")}`,
+    headers: columns.map((c) => c.label),
+    sheetName: template.sheetName || "Sheet1",
+    totals: columns
+      .filter((c) => c.field === "gb" || c.field === "amount")
+      .map((c) => c.label),
+    toRow: (row, catalog) =>
+      Object.fromEntries(
+        columns.map((c) => [
+          c.label,
+          formatValue(fields[c.field](row, catalog), c, template),
+        ])
+      ),
+  };
+};
+
+/**
+ * Columns for exporting a queue: the chosen template when it belongs to the
+ * queue, otherwise the built-in layout.
+ */
+export const columnsFor = (collectionName, templates, templateId) => {
+  const template = templates.find(
+    (t) => t.id === templateId && t.collection === collectionName
+  );
+  return template ? templateColumns(template) : EXPORT_COLUMNS[collectionName];
+};
+
+export const fetchTemplates = async () => {
+  const snap = await getDocs(collection(db, EXPORT_TEMPLATES));
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/** Creates or overwrites a template. Returns its id. */
+export const saveTemplate = async ({ id, ...template }, operator) => {
+  const data = {
+    ...template,
+    updatedAt: serverTimestamp(),
+    updatedBy: operator,
+  };
+  if (id) {
+    await setDoc(doc(db, EXPORT_TEMPLATES, id), data);
+    return id;
+  }
+  return (await addDoc(collection(db, EXPORT_TEMPLATES), data)).id;
+};
+
+export const deleteTemplate = (id) => deleteDoc(doc(db, EXPORT_TEMPLATES, id));
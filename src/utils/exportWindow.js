@@ -0,0 +1,67 @@
+// utils/exportWindow.js
+// Time windows an export can be limited to, so a file can match one of the
+// provider's delivery windows. Windows are resolved against the clock when
+// they are used: "before 14:00 today" is today at the moment of counting or
+// exporting.
+import { where, orderBy } from "firebase/firestore";
+
+export const EXPORT_WINDOWS = {
+  ALL: "all",
+  BEFORE_CUTOFF: "before_cutoff",
+  TODAY: "today",
+  YESTERDAY: "yesterday",
+  CUSTOM: "custom",
+};
+
+export const WINDOW_LABELS = {
+  [EXPORT_WINDOWS.ALL]: "Everything pending",
+  [EXPORT_WINDOWS.BEFORE_CUTOFF]: "Created before a cutoff time today",
+  [EXPORT_WINDOWS.TODAY]: "All of today",
+  [EXPORT_WINDOWS.YESTERDAY]: "All of yesterday",
+  [EXPORT_WINDOWS.CUSTOM]: "Custom range",
+};
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  window: EXPORT_WINDOWS.ALL,
+  cutoff: "14:00",
+  from: "",
+  to: "",
+  order: "asc",
+};
+
+const midnight = (date, dayOffset = 0) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset);
+
+/** `{ start, end }` of the chosen window as Dates; either may be null. */
+export const resolveWindow = (options, now = new Date()) => {
+  switch (options.window) {
+    case EXPORT_WINDOWS.BEFORE_CUTOFF: {
+      const [hours, minutes] = options.cutoff.split(":").map(Number);
+      const end = midnight(now);
+      end.setHours(hours || 0, minutes || 0);
+      return { start: null, end };
+    }
+    case EXPORT_WINDOWS.TODAY:
+      return { start: midnight(now), end: midnight(now, 1) };
+    case EXPORT_WINDOWS.YESTERDAY:
+      return { start: midnight(now, -1), end: midnight(now) };
+    case EXPORT_WINDOWS.CUSTOM:
+      return {
+        start: options.from ? new Date(options.from) : null,
+        end: options.to ? new Date(options.to) : null,
+      };
+    default:
+      return { start: null, end: null };
+  }
+};
+
+/** `createdAt` clauses for the window; `end` is exclusive. */
+export const windowClauses = (options, now = new Date()) => {
+  const { start, end } = resolveWindow(options, now);
+  return [
+    ...(start ? [where("createdAt", ">=", start)] : []),
+    ...(end ? [where("createdAt", "<", end)] : []),
+  ];
+};
+
+export const orderClause = (options) => orderBy("createdAt", options.order);
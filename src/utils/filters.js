@@ -0,0 +1,162 @@
+// utils/filters.js
+// Search filters for the pending queues. Whatever Firestore can match is
+// turned into `where` clauses; the rest (networks, which may come from the
+// number's prefix, amount ranges, and GB sizes, which come from the bundle
+// catalog) is checked against each record.
+// Listing, counting and exporting all go through here, so an export holds
+// exactly the records the filtered list shows.
+import {
+  query,
+  where,
+  getDocs,
+  limit,
+  startAfter,
+  Timestamp,
+} from "firebase/firestore";
+import { pendingQuery, countQuery } from "./queues";
+import { MB_PER_GB } from "./bundleCatalog";
+import { phoneVariants } from "./phone";
+import { SOURCE_LIST, networkOf, bundleSizeMb, orderAmount } from "./sources";
+
+export const EMPTY_FILTERS = {
+  phone: "",
+  network: "",
+  gb: "",
+  minAmount: "",
+  maxAmount: "",
+  externalRef: "",
+  from: "",
+  to: "",
+};
+
+// Which record field backs each filter, per queue. Filters a queue has no
+// field for are not offered on its tab; the network filter is on every tab.
+export const FILTER_FIELDS = Object.fromEntries(
+  SOURCE_LIST.map((source) => [source.collectionName, source.fields])
+);
+
+// Sizes within this many GB of the one searched for match, so 1.5 finds
+// 1536MB and 0.49 finds 500MB
+const GB_TOLERANCE = 0.01;
+
+export const hasActiveFilters = (filters) =>
+  Object.values(filters).some((v) => String(v).trim() !== "");
+
+export const startOfDay = (date) =>
+  Timestamp.fromDate(new Date(`${date}T00:00:00`));
+
+export const endOfDay = (date) => {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() + 1);
+  return Timestamp.fromDate(d);
+};
+
+/**
+ * The pending query for a queue, narrowed by the server-side filters and any
+ * `extra` constraints (an export window, an ordering).
+ */
+export const filteredQuery = (collectionName, filters, extra = []) => {
+  const fields = FILTER_FIELDS[collectionName];
+  const clauses = [];
+  const phone = filters.phone.trim();
+  const externalRef = filters.externalRef.trim();
+
+  if (phone) clauses.push(where(fields.phone, "in", phoneVariants(phone)));
+  if (externalRef && fields.externalRef) {
+    clauses.push(where(fields.externalRef, "==", externalRef));
+  }
+  if (filters.from)
+    clauses.push(where("createdAt", ">=", startOfDay(filters.from)));
+  if (filters.to) clauses.push(where("createdAt", "<", endOfDay(filters.to)));
+
+  return query(pendingQuery(collectionName), ...clauses, ...extra);
+};
+
+/**
+ * Check for the filters Firestore cannot apply, or null when there are none.
+ * Takes record data, not snapshots. GB sizes are looked up in `catalog`.
+ */
+export const filterPredicate = (collectionName, filters, catalog) => {
+  const fields = FILTER_FIELDS[collectionName];
+  const checks = [];
+  const network = filters.network.trim();
+  const gb = filters.gb.trim();
+  const min = filters.minAmount === "" ? null : Number(filters.minAmount);
+  const max = filters.maxAmount === "" ? null : Number(filters.maxAmount);
+
+  if (network) {
+    checks.push((row) => networkOf(collectionName, row) === network);
+  }
+  if (gb && fields.gb) {
+    checks.push((row) => {
+      const mb = bundleSizeMb(collectionName, row, catalog);
+      return mb != null && Math.abs(mb / MB_PER_GB - Number(gb)) < GB_TOLERANCE;
+    });
+  }
+  if (fields.amount && (min !== null || max !== null)) {
+    checks.push((row) => {
+      const amount = orderAmount(collectionName, row);
+      if (Number.isNaN(amount)) return false;
+      return (min === null || amount >= min) && (max === null || amount <= max);
+    });
+  }
+
+  return checks.length ? (row) => checks.every((check) => check(row)) : null;
+};
+
+// Queues are read this many docs at a time, however large they get
+const READ_CHUNK = 500;
+
+/**
+ * Snapshots of every pending record that passes the filters, read in chunks.
+ * `onRead(n)` hears how many docs have been read so far.
+ */
+export const fetchFilteredDocs = (
+  collectionName,
+  filters,
+  catalog,
+  extra,
+  onRead
+) =>
+  readInChunks(
+    filteredQuery(collectionName, filters, extra),
+    filterPredicate(collectionName, filters, catalog),
+    onRead
+  );
+
+/**
+ * Every doc of `base` that passes `matches` (record data -> boolean, or null
+ * for all of them), read `READ_CHUNK` at a time.
+ */
+export const readInChunks = async (base, matches, onRead) => {
+  let docs = [];
+  let read = 0;
+  let snap;
+  do {
+    const cursor = snap?.docs[snap.docs.length - 1];
+    snap = await getDocs(
+      query(base, ...(cursor ? [startAfter(cursor)] : []), limit(READ_CHUNK))
+    );
+    read += snap.docs.length;
+    if (onRead) onRead(read);
+    docs = docs.concat(
+      matches ? snap.docs.filter((d) => matches(d.data())) : snap.docs
+    );
+  } while (snap.docs.length === READ_CHUNK);
+  return docs;
+};
+
+/** How many pending records pass the filters. */
+export const countFiltered = async (
+  collectionName,
+  filters,
+  catalog,
+  extra
+) => {
+  if (!filterPredicate(collectionName, filters, catalog)) {
+    return (await countQuery(filteredQuery(collectionName, filters, extra)))
+      .count;
+  }
+  return (await fetchFilteredDocs(collectionName, filters, catalog, extra))
+    .length;
+};
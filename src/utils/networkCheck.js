@@ -0,0 +1,85 @@
+// utils/networkCheck.js
+// Customers pick their own network when they buy, and often pick the wrong
+// one; a bundle sent to the wrong network is money lost. The number's prefix
+// is the authority, so records whose declared network disagrees with it are
+// flagged and can be corrected in bulk.
+import {
+  collection,
+  addDoc,
+  writeBatch,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { AUDIT_LOG } from "./exportLedger";
+import { SOURCE_LIST, phoneOf } from "./sources";
+import { detectNetwork, normalizeNetwork } from "./phone";
+
+// Field holding the declared network, for queues whose records have one
+// (`fields.network` in sources.js). Orders carry no declared network.
+export const DECLARED_NETWORK_FIELDS = Object.fromEntries(
+  SOURCE_LIST.filter((source) => source.fields.network).map((source) => [
+    source.collectionName,
+    source.fields.network,
+  ])
+);
+
+/**
+ * `{ declared, inferred }` when a record's declared network disagrees with
+ * its number's prefix, otherwise null. Records without a declared network,
+ * or whose number points at no network, are never mismatches.
+ */
+export const networkMismatch = (collectionName, row) => {
+  const field = DECLARED_NETWORK_FIELDS[collectionName];
+  const declared = field && row[field];
+  if (!declared) return null;
+  const inferred = detectNetwork(phoneOf(collectionName, row));
+  if (!inferred || normalizeNetwork(declared) === inferred) return null;
+  return { declared, inferred };
+};
+
+/**
+ * Sets each record's declared network to the one its number belongs to,
+ * keeping the old value in `networkCorrection`, and writes one `audit_log`
+ * entry for the lot. Takes snapshots; returns how many were corrected.
+ */
+export const correctNetworks = async (
+  collectionName,
+  docs,
+  operator,
+  batchSize = 500
+) => {
+  const field = DECLARED_NETWORK_FIELDS[collectionName];
+  const fixes = docs
+    .map((d) => ({
+      ref: d.ref,
+      mismatch: networkMismatch(collectionName, d.data()),
+    }))
+    .filter((fix) => fix.mismatch);
+
+  for (let i = 0; i < fixes.length; i += batchSize) {
+    const batch = writeBatch(db);
+    fixes.slice(i, i + batchSize).forEach(({ ref, mismatch }) =>
+      batch.update(ref, {
+        [field]: mismatch.inferred,
+        networkCorrection: {
+          from: mismatch.declared,
+          at: serverTimestamp(),
+          by: operator,
+        },
+      })
+    );
+    await batch.commit();
+  }
+
+  if (fixes.length) {
+    await addDoc(collection(db, AUDIT_LOG), {
+      action: "correct_network",
+      collection: collectionName,
+      recordCount: fixes.length,
+      operator,
+      createdAt: serverTimestamp(),
+    });
+  }
+
+  return fixes.length;
+};
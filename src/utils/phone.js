@@ -0,0 +1,121 @@
+// utils/phone.js
+// Ghana mobile numbers. Records carry numbers in every form the backends
+// produce (0241234567, 233241234567, +233 24 123 4567, 241234567, numbers
+// stored as numbers); everything that displays, searches or exports a number
+// goes through here.
+
+export const NETWORKS = {
+  MTN: "MTN",
+  TELECEL: "Telecel",
+  AIRTELTIGO: "AirtelTigo",
+};
+
+// Two digits after the leading 0, by network
+const PREFIXES = {
+  24: NETWORKS.MTN,
+  25: NETWORKS.MTN,
+  53: NETWORKS.MTN,
+  54: NETWORKS.MTN,
+  55: NETWORKS.MTN,
+  59: NETWORKS.MTN,
+  20: NETWORKS.TELECEL,
+  50: NETWORKS.TELECEL,
+  26: NETWORKS.AIRTELTIGO,
+  27: NETWORKS.AIRTELTIGO,
+  56: NETWORKS.AIRTELTIGO,
+  57: NETWORKS.AIRTELTIGO,
+};
+
+// Spellings of each network found in records, lower-cased. Telecel was
+// Vodafone Ghana until 2024.
+const NETWORK_ALIASES = {
+  mtn: NETWORKS.MTN,
+  "mtn ghana": NETWORKS.MTN,
+  telecel: NETWORKS.TELECEL,
+  vodafone: NETWORKS.TELECEL,
+  airteltigo: NETWORKS.AIRTELTIGO,
+  "airtel tigo": NETWORKS.AIRTELTIGO,
+  at: NETWORKS.AIRTELTIGO,
+  "at premium": NETWORKS.AIRTELTIGO,
+  airtel: NETWORKS.AIRTELTIGO,
+  tigo: NETWORKS.AIRTELTIGO,
+};
+
+/** One of NETWORKS for a network name as stored, or null if unrecognised. */
+export const normalizeNetwork = (name) =>
+  NETWORK_ALIASES[
+    String(name ?? "")
+      .trim()
+      .toLowerCase()
+      .replace(/[\s_-]+/g, " ")
+  ] || null;
+
+// The nine digits after 0 / 233 / +233, or null when the shape is wrong
+const nationalDigits = (number) => {
+  if (number === null || number === undefined) return null;
+  const digits = String(number)
+    .replace(/[\s\-().]/g, "")
+    .replace(/^\+/, "");
+  if (!/^\d+$/.test(digits)) return null;
+  if (digits.length === 12 && digits.startsWith("233")) return digits.slice(3);
+  if (digits.length === 10 && digits.startsWith("0")) return digits.slice(1);
+  if (digits.length === 9 && !digits.startsWith("0")) return digits;
+  return null;
+};
+
+/**
+ * `{ valid, local, international, network, problem }` for any input form.
+ * `local` is 0XXXXXXXXX and `international` 233XXXXXXXXX; both are null
+ * when the number does not have the right length.
+ */
+export const parsePhone = (number) => {
+  const national = nationalDigits(number);
+  if (!national) {
+    return {
+      valid: false,
+      local: null,
+      international: null,
+      network: null,
+      problem:
+        number === null || number === undefined || number === ""
+          ? "Missing number"
+          : "Wrong length or characters",
+    };
+  }
+  const network = PREFIXES[national.slice(0, 2)] || null;
+  return {
+    valid: !!network,
+    local: `0${national}`,
+    international: `233${national}`,
+    network,
+    problem: network ? null : "Unknown network prefix",
+  };
+};
+
+export const isValidPhone = (number) => parsePhone(number).valid;
+
+/** Network a number belongs to, going by its prefix, or null. */
+export const detectNetwork = (number) => parsePhone(number).network;
+
+/** 0XX form for display and export; malformed numbers are shown as stored. */
+export const formatPhoneNumber = (number) => {
+  if (number === null || number === undefined || number === "") return "N/A";
+  return parsePhone(number).local || String(number).trim() || "N/A";
+};
+
+/**
+ * Every form a number may be stored in, for equality searches. Numbers
+ * that do not parse are matched as typed.
+ */
+export const phoneVariants = (input) => {
+  const national = nationalDigits(input);
+  if (!national) return [String(input).trim()];
+  return [
+    `0${national}`,
+    `233${national}`,
+    `+233${national}`,
+    national,
+    Number(`233${national}`),
+    Number(national),
+  ];
+};
@@ -0,0 +1,82 @@
+import {
+  NETWORKS,
+  parsePhone,
+  isValidPhone,
+  detectNetwork,
+  formatPhoneNumber,
+} from "./phone";
+
+describe("detectNetwork", () => {
+  test.each([
+    ["0241234567", NETWORKS.MTN],
+    ["0551234567", NETWORKS.MTN],
+    ["0591234567", NETWORKS.MTN],
+    ["0201234567", NETWORKS.TELECEL],
+    ["0501234567", NETWORKS.TELECEL],
+    ["0261234567", NETWORKS.AIRTELTIGO],
+    ["0571234567", NETWORKS.AIRTELTIGO],
+  ])("%s is %s", (number, network) => {
+    expect(detectNetwork(number)).toBe(network);
+  });
+
+  test("unknown prefixes have no network", () => {
+    expect(detectNetwork("0311234567")).toBeNull();
+    expect(isValidPhone("0311234567")).toBe(false);
+    expect(parsePhone("0311234567").problem).toBe("Unknown network prefix");
+  });
+});
+
+describe("formatPhoneNumber", () => {
+  test.each([
+    "0241234567",
+    "233241234567",
+    "+233241234567",
+    "+233 24 123 4567",
+    "241234567",
+    233241234567,
+  ])("%p becomes 0241234567", (number) => {
+    expect(formatPhoneNumber(number)).toBe("0241234567");
+    expect(isValidPhone(number)).toBe(true);
+  });
+
+  test("malformed numbers are shown as stored", () => {
+    expect(formatPhoneNumber("02412345")).toBe("02412345");
+    expect(formatPhoneNumber("abc")).toBe("abc");
+  });
+
+  test("missing numbers show N/A", () => {
+    expect(formatPhoneNumber("")).toBe("N/A");
+    expect(formatPhoneNumber(null)).toBe("N/A");
+    expect(formatPhoneNumber(undefined)).toBe("N/A");
+  });
+});
+
+describe("isValidPhone", () => {
+  test.each([
+    "02412345678",
+    "024123456",
+    "23324123456",
+    "2332412345678",
+    "+23324123456",
+    "0241234abc",
+  ])("rejects %p", (number) => {
+    expect(isValidPhone(number)).toBe(false);
+    expect(parsePhone(number).problem).toBe("Wrong length or characters");
+  });
+
+  test("rejects empty input", () => {
+    expect(isValidPhone("")).toBe(false);
+    expect(isValidPhone(null)).toBe(false);
+    expect(parsePhone("").problem).toBe("Missing number");
+  });
+
+  test("gives both forms of a valid number", () => {
+    expect(parsePhone("+233 54 123 4567")).toEqual({
+      valid: true,
+      local: "0541234567",
+      international: "233541234567",
+      network: NETWORKS.MTN,
+      problem: null,
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// utils/priceCheck.js
+// Whether a customer paid the catalog price for the bundle being delivered,
+// on the network the number belongs to. Orders that paid too little, too
+// much or nothing stay out of exports until an exporter approves them.
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { AUDIT_LOG } from "./exportLedger";
+import { phoneOf, hasBundles, resolveBundle, orderAmount } from "./sources";
+import { detectNetwork } from "./phone";
+
+export const PRICE_PROBLEMS = {
+  ZERO: "zero",
+  UNDERPAID: "underpaid",
+  OVERPAID: "overpaid",
+};
+
+export const PRICE_PROBLEM_LABELS = {
+  [PRICE_PROBLEMS.ZERO]: "No payment",
+  [PRICE_PROBLEMS.UNDERPAID]: "Underpaid",
+  [PRICE_PROBLEMS.OVERPAID]: "Overpaid",
+};
+
+// Amounts are compared to the pesewa
+const pesewas = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * `{ problem, paid, expected }` for an order that did not pay the list price,
+ * otherwise null. Orders for unknown bundles, or bundles without a price on
+ * the number's network, can only be caught when they paid nothing.
+ */
+export const priceCheck = (collectionName, row, catalog) => {
+  if (!hasBundles(collectionName)) return null;
+  const paid = orderAmount(collectionName, row);
+  const bundle = resolveBundle(collectionName, row, catalog);
+  const network = detectNetwork(phoneOf(collectionName, row));
+  const listed = bundle?.networkPrices?.[network];
+  const expected = listed == null || listed === "" ? null : Number(listed);
+
+  if (Number.isNaN(paid) || paid <= 0) {
+    return { problem: PRICE_PROBLEMS.ZERO, paid: 0, expected };
+  }
+  if (expected === null || pesewas(paid) === pesewas(expected)) return null;
+  return {
+    problem:
+      paid < expected ? PRICE_PROBLEMS.UNDERPAID : PRICE_PROBLEMS.OVERPAID,
+    paid,
+    expected,
+  };
+};
+
+/** True for an order with a price problem that no exporter has approved. */
+export const isPriceHeld = (collectionName, row, catalog) =>
+  !row.priceApproval && !!priceCheck(collectionName, row, catalog);
+
+/** Lets an order through to exports at the amount it paid. */
+export const approvePrice = async (
+  collectionName,
+  id,
+  row,
+  catalog,
+  operator
+) => {
+  const check = priceCheck(collectionName, row, catalog);
+  await updateDoc(doc(db, collectionName, id), {
+    priceApproval: {
+      problem: check?.problem || null,
+      amount: check?.paid ?? null,
+      at: serverTimestamp(),
+      by: operator,
+    },
+  });
+  await addDoc(collection(db, AUDIT_LOG), {
+    action: "approve_price",
+    collection: collectionName,
+    recordId: id,
+    operator,
+    createdAt: serverTimestamp(),
+  });
+};
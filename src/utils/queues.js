@@ -0,0 +1,69 @@
+// utils/queues.js
+// Queries over each source's pending records (see sources.js for what
+// "pending" means per source), and the one place that counts them. Counts use Firestore aggregation queries, so they cost one read per
+// 1000 matching documents instead of one per document.
+import {
+  collection,
+  query,
+  orderBy,
+  limit,
+  getDocs,
+  getAggregateFromServer,
+  count,
+  sum,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { MB_PER_GB } from "./bundleCatalog";
+import { SOURCES, bundleSizeMb, hasBundles, orderAmount } from "./sources";
+
+export const pendingQuery = (collectionName) =>
+  query(
+    collection(db, collectionName),
+    ...SOURCES[collectionName].pendingFilters()
+  );
+
+/** `{ count, sum }` for any query; `sum` is null without a `sumField`. */
+export const countQuery = async (q, { sumField } = {}) => {
+  const spec = { count: count() };
+  if (sumField) spec.sum = sum(sumField);
+  const snap = await getAggregateFromServer(q, spec);
+  const data = snap.data();
+  return { count: data.count, sum: sumField ? data.sum : null };
+};
+
+export const countPending = (collectionName) =>
+  countQuery(pendingQuery(collectionName), {
+    sumField: SOURCES[collectionName].sumField,
+  });
+
+// Sizes come from the bundle catalog, so orders are totalled from the
+// documents; sizes nobody knows count as 0GB. Numbers entries carry neither.
+const volumeOf = (collectionName, row, catalog) => ({
+  gb: (bundleSizeMb(collectionName, row, catalog) || 0) / MB_PER_GB,
+  amount: orderAmount(collectionName, row) || 0,
+});
+
+/**
+ * `{ gb, amount }` pending on a queue; null fields where it has no such data.
+ * Reads every pending record, so it is only worked out when asked for; the
+ * `sumField` totals from `countPending` are the cheap alternative.
+ */
+export const pendingVolume = async (collectionName, catalog) => {
+  if (!hasBundles(collectionName)) return { gb: null, amount: null };
+  const snap = await getDocs(pendingQuery(collectionName));
+  return snap.docs.reduce(
+    (acc, d) => {
+      const { gb, amount } = volumeOf(collectionName, d.data(), catalog);
+      return { gb: acc.gb + gb, amount: acc.amount + amount };
+    },
+    { gb: 0, amount: 0 }
+  );
+};
+
+/** `createdAt` of the longest-waiting pending record, or null. */
+export const oldestPendingAt = async (collectionName) => {
+  const snap = await getDocs(
+    query(pendingQuery(collectionName), orderBy("createdAt"), limit(1))
+  );
+  return snap.empty ? null : snap.docs[0].data().createdAt || null;
+};
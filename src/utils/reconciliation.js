@@ -0,0 +1,157 @@
+// utils/reconciliation.js
+// Matches payment confirmations to the orders queued for delivery, by
+// payment reference. Payments come from the teller collections, deliveries
+// from the website and USSD queues, as their `reconcile` entries in
+// sources.js say. Each record's reference is the field its source declares
+// as `fields.externalRef`: `transaction_id` on teller records,
+// `transactionId` on website orders and `externalRef` on USSD orders. What
+// does not line up is listed for an operator, who resolves each item with a
+// note kept in `reconciliation_resolutions`.
+import {
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  getDocs,
+  setDoc,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { readInChunks, startOfDay, endOfDay } from "./filters";
+import { SOURCES, SOURCE_LIST, orderAmount } from "./sources";
+
+export const RECONCILIATION_RESOLUTIONS = "reconciliation_resolutions";
+
+// The sources on each side, by their `reconcile` entry in sources.js
+const sourcesOn = (side) =>
+  SOURCE_LIST.filter((source) => source.reconcile === side);
+
+export const MISMATCH_KINDS = {
+  PAID_NOT_QUEUED: "paid_not_queued",
+  QUEUED_NOT_PAID: "queued_not_paid",
+  AMOUNT_MISMATCH: "amount_mismatch",
+};
+
+export const MISMATCH_LABELS = {
+  [MISMATCH_KINDS.PAID_NOT_QUEUED]: "Paid, not queued",
+  [MISMATCH_KINDS.QUEUED_NOT_PAID]: "Queued, not paid",
+  [MISMATCH_KINDS.AMOUNT_MISMATCH]: "Amount mismatch",
+};
+
+/** A record of either side, as `reconcile` takes it. */
+export const toReconRecord = (name, id, data) => {
+  const ref = data[SOURCES[name].fields.externalRef];
+  return {
+    collection: name,
+    id,
+    ref: ref == null || String(ref).trim() === "" ? null : String(ref).trim(),
+    amount: orderAmount(name, data),
+    data,
+  };
+};
+
+const readSource = async ({ collectionName: name, counts }, from, to) =>
+  (
+    await readInChunks(
+      query(
+        collection(db, name),
+        where("createdAt", ">=", startOfDay(from)),
+        where("createdAt", "<", endOfDay(to)),
+        orderBy("createdAt")
+      ),
+      counts
+    )
+  ).map((d) => toReconRecord(name, d.id, d.data()));
+
+const readSide = async (side, from, to) =>
+  (
+    await Promise.all(
+      sourcesOn(side).map((source) => readSource(source, from, to))
+    )
+  ).flat();
+
+const total = (records) =>
+  records.reduce((acc, r) => acc + (Number.isNaN(r.amount) ? 0 : r.amount), 0);
+
+// Compared to the pesewa
+const sameAmount = (a, b) => Math.round(a * 100) === Math.round(b * 100);
+
+/**
+ * `[{ id, kind, ref, payments, deliveries, paid, charged }]` for the
+ * references in the range that do not reconcile. Deliveries without a
+ * reference can never be matched and are listed one by one.
+ */
+export const reconcile = (payments, deliveries) => {
+  const byRef = new Map();
+  const side = (ref) => {
+    if (!byRef.has(ref)) byRef.set(ref, { payments: [], deliveries: [] });
+    return byRef.get(ref);
+  };
+  payments.filter((p) => p.ref).forEach((p) => side(p.ref).payments.push(p));
+  deliveries
+    .filter((d) => d.ref)
+    .forEach((d) => side(d.ref).deliveries.push(d));
+
+  const items = [];
+  byRef.forEach((match, ref) => {
+    const paid = total(match.payments);
+    const charged = total(match.deliveries);
+    let kind = null;
+    if (!match.deliveries.length) kind = MISMATCH_KINDS.PAID_NOT_QUEUED;
+    else if (!match.payments.length) kind = MISMATCH_KINDS.QUEUED_NOT_PAID;
+    else if (!sameAmount(paid, charged)) kind = MISMATCH_KINDS.AMOUNT_MISMATCH;
+    if (kind)
+      items.push({ id: `ref:${ref}`, kind, ref, ...match, paid, charged });
+  });
+  deliveries
+    .filter((d) => !d.ref)
+    .forEach((d) =>
+      items.push({
+        id: `record:${d.collection}:${d.id}`,
+        kind: MISMATCH_KINDS.QUEUED_NOT_PAID,
+        ref: null,
+        payments: [],
+        deliveries: [d],
+        paid: 0,
+        charged: total([d]),
+      })
+    );
+  return items;
+};
+
+/** Items that do not reconcile between two dates, inclusive. */
+export const fetchReconciliation = async (from, to) => {
+  const [payments, deliveries] = await Promise.all([
+    readSide("payment", from, to),
+    readSide("delivery", from, to),
+  ]);
+  return reconcile(payments, deliveries);
+};
+
+/** Resolutions by item id. */
+export const fetchResolutions = async () => {
+  const snap = await getDocs(collection(db, RECONCILIATION_RESOLUTIONS));
+  return Object.fromEntries(snap.docs.map((d) => [d.id, d.data()]));
+};
+
+// Item ids hold references, which may contain "/"
+const resolutionId = (itemId) => encodeURIComponent(itemId);
+
+export const resolutionFor = (resolutions, item) =>
+  resolutions[resolutionId(item.id)] || null;
+
+/** Marks an item resolved, with the operator's note. */
+export const resolveItem = (item, note, operator) =>
+  setDoc(doc(db, RECONCILIATION_RESOLUTIONS, resolutionId(item.id)), {
+    kind: item.kind,
+    ref: item.ref,
+    records: [...item.payments, ...item.deliveries].map(
+      (r) => `${r.collection}/${r.id}`
+    ),
+    paid: item.paid,
+    charged: item.charged,
+    note,
+    resolvedAt: serverTimestamp(),
+    resolvedBy: operator,
+  });
@@ -0,0 +1,154 @@
+import { MISMATCH_KINDS, reconcile, toReconRecord } from "./reconciliation";
+import { TELLER_CALLBACKS, TELLER_TRANSACTIONS } from "./teller";
+
+const payment = (id, ref, amount, extra = {}) =>
+  toReconRecord(TELLER_TRANSACTIONS, id, {
+    transaction_id: ref,
+    amount,
+    ...extra,
+  });
+
+const website = (id, ref, amount, extra = {}) =>
+  toReconRecord("webite_purchase", id, {
+    transactionId: ref,
+    amount,
+    ...extra,
+  });
+
+const ussd = (id, ref, amount) =>
+  toReconRecord("delivery_queue", id, { externalRef: ref, amount });
+
+const ids = (records) => records.map((r) => r.id);
+
+describe("toReconRecord", () => {
+  test("reads each source's declared reference field only", () => {
+    expect(payment("p1", "T1", "000000002500").ref).toBe("T1");
+    expect(website("w1", "T1", 25).ref).toBe("T1");
+    expect(ussd("u1", "T1", 25).ref).toBe("T1");
+    expect(
+      toReconRecord("webite_purchase", "w2", {
+        transaction_id: "T1",
+        externalRef: "T1",
+        amount: 25,
+      }).ref
+    ).toBeNull();
+  });
+
+  test("trims references and treats blank ones as missing", () => {
+    expect(website("w1", " T1 ", 25).ref).toBe("T1");
+    expect(website("w2", "  ", 25).ref).toBeNull();
+    expect(payment("p1", undefined, 25).ref).toBeNull();
+  });
+
+  test("reads teller amounts reported in pesewas", () => {
+    expect(payment("p1", "T1", "000000002500").amount).toBe(25);
+    expect(
+      toReconRecord(TELLER_CALLBACKS, "c1", { transaction_id: "T1", amount: 5 })
+        .amount
+    ).toBe(5);
+  });
+});
+
+describe("reconcile", () => {
+  test("a payment and an order on one reference for the same amount match", () => {
+    expect(
+      reconcile(
+        [payment("p1", "T1", "000000002500"), payment("p2", "T2", 10)],
+        [website("w1", "T1", "25.00"), ussd("u1", "T2", 10)]
+      )
+    ).toEqual([]);
+  });
+
+  test("amounts are compared to the pesewa", () => {
+    expect(
+      reconcile([payment("p1", "T1", 0.1 + 0.2)], [website("w1", "T1", 0.3)])
+    ).toEqual([]);
+    const [item] = reconcile(
+      [payment("p1", "T1", 25)],
+      [website("w1", "T1", 25.01)]
+    );
+    expect(item.kind).toBe(MISMATCH_KINDS.AMOUNT_MISMATCH);
+  });
+
+  test("lists a payment no order was queued for", () => {
+    const [item] = reconcile([payment("p1", "T1", 25)], []);
+    expect(item).toMatchObject({
+      id: "ref:T1",
+      kind: MISMATCH_KINDS.PAID_NOT_QUEUED,
+      ref: "T1",
+      paid: 25,
+      charged: 0,
+    });
+  });
+
+  test("lists an order no payment was found for", () => {
+    const [item] = reconcile([], [ussd("u1", "T1", 10)]);
+    expect(item).toMatchObject({
+      id: "ref:T1",
+      kind: MISMATCH_KINDS.QUEUED_NOT_PAID,
+      paid: 0,
+      charged: 10,
+    });
+  });
+
+  test("lists orders without a reference one by one", () => {
+    const items = reconcile(
+      [payment("p1", "", 25)],
+      [website("w1", null, 25), website("w2", "", 25)]
+    );
+    expect(items.map((i) => i.id)).toEqual([
+      "record:webite_purchase:w1",
+      "record:webite_purchase:w2",
+    ]);
+    items.forEach((i) => {
+      expect(i.kind).toBe(MISMATCH_KINDS.QUEUED_NOT_PAID);
+      expect(i.ref).toBeNull();
+    });
+  });
+
+  describe("references shared by several records", () => {
+    test("an order paid in two payments matches their total", () => {
+      expect(
+        reconcile(
+          [payment("p1", "T1", 10), payment("p2", "T1", 15)],
+          [website("w1", "T1", 25)]
+        )
+      ).toEqual([]);
+    });
+
+    test("one payment queued twice is an amount mismatch listing both orders", () => {
+      const [item] = reconcile(
+        [payment("p1", "T1", 25)],
+        [website("w1", "T1", 25), ussd("u1", "T1", 25)]
+      );
+      expect(item.kind).toBe(MISMATCH_KINDS.AMOUNT_MISMATCH);
+      expect(ids(item.deliveries)).toEqual(["w1", "u1"]);
+      expect(item.paid).toBe(25);
+      expect(item.charged).toBe(50);
+    });
+
+    test("a payment seen twice is an amount mismatch listing both payments", () => {
+      const [item] = reconcile(
+        [
+          payment("p1", "T1", 25),
+          toReconRecord(TELLER_CALLBACKS, "c1", {
+            transaction_id: "T1",
+            amount: 25,
+          }),
+        ],
+        [website("w1", "T1", 25)]
+      );
+      expect(item.kind).toBe(MISMATCH_KINDS.AMOUNT_MISMATCH);
+      expect(ids(item.payments)).toEqual(["p1", "c1"]);
+    });
+
+    test("orders with no amount add nothing to the total", () => {
+      expect(
+        reconcile(
+          [payment("p1", "T1", 25)],
+          [website("w1", "T1", undefined), website("w2", "T1", 25)]
+        )
+      ).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,16 @@
+// utils/roles.js
+// Roles live on `users/{uid}.role`; firestore.rules enforces the same split.
+export const ROLES = {
+  VIEWER: "viewer", // browse the tabs only
+  EXPORTER: "exporter", // run exports
+  ADMIN: "admin", // reopen batches, change settings
+};
+
+// Anyone without a users doc (or with an unknown role) is treated as a viewer
+export const normalizeRole = (role) =>
+  Object.values(ROLES).includes(role) ? role : ROLES.VIEWER;
+
+export const canExport = (role) =>
+  role === ROLES.EXPORTER || role === ROLES.ADMIN;
+
+export const isAdmin = (role) => role === ROLES.ADMIN;
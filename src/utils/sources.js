@@ -0,0 +1,374 @@
+// utils/sources.js
+// Every queue the dashboard lists and exports, one entry per source, in tab
+// order. An entry says where the records live and which of them are pending,
+// how they are ordered, searched and shown on cards, and how they are written
+// to export files. Tabs, counts and the export pipeline are all driven from
+// here, so adding a source means adding an entry.
+//
+// Entry fields:
+//   collectionName  Firestore collection
+//   label, title    tab label and tab heading; `noun` is used in sentences
+//   pendingFilters  `where` clauses for records still waiting for export
+//   orderBy         field pending lists are paged by, oldest first
+//   sumField        GH₵ field totalled next to the pending count, if any
+//   fields          record field behind each search filter; filters without
+//                   one are not offered, except network, which every source
+//                   has. `phone` is also the record's number, `network`
+//                   the network the record declares, if it declares one,
+//                   and `externalRef` the payment reference reconciliation
+//                   matches on.
+//   phoneFallback   field holding the number when `fields.phone` is empty;
+//                   phone searches only match `fields.phone`
+//   card            lines of a record's card: `{ label, value(row) }`, or
+//                   `{ label, size: true }` for the catalog size. Lines whose
+//                   value is null are left out.
+//   columns         export layout: file name, headers, the columns summed on
+//                   a summary sheet (`totals`), and `toRow(row, catalog)`
+//   templateFields  where each export template field comes from, as
+//                   `(row, catalog) => value`
+//   bundle          for sources that sell data bundles: `keys(row)`, the
+//                   `[table, value]` catalog lookups that identify a record's
+//                   bundle (`byName`, `byGig` or `byPrice`), most specific
+//                   first, and `stated(row)`, the values that may state its
+//                   size, tried in order when the catalog does not know it
+//   amount          the record's amount in GH₵, as `amount(row)`, for sources
+//                   that take payment; NaN when the record has none
+//   channel         label sales are charted and rolled up under in analytics.
+//                   Payment sources have none: their payments are for
+//                   website and USSD orders, which are counted already.
+//   counts          which records count as sales and payments, for sources
+//                   where not every record does
+//   reconcile       the side of reconciliation the source is on: "payment"
+//                   or "delivery"; left out of it when absent
+import { where } from "firebase/firestore";
+import { formatPhoneNumber, detectNetwork, normalizeNetwork } from "./phone";
+import {
+  findBundle,
+  bundleIdentity,
+  statedMb,
+  mbToGb,
+  formatSize,
+} from "./bundleCatalog";
+import { SPLIT_KEYS } from "./exportFiles";
+import { TELLER_TRANSACTIONS, TELLER_CALLBACKS, tellerAmount } from "./teller";
+
+const notExported = () => [where("exported", "==", false)];
+
+const approvedNotExported = () => [
+  where("status", "==", "approved"),
+  where("exported", "==", false),
+];
+
+// Website and teller orders only count once paid for
+const isApproved = (row) => row.status === "approved";
+
+const formatDate = (ts) => (ts?.toDate ? ts.toDate().toLocaleString() : "N/A");
+
+const SIZE_LINE = { label: "Data", size: true };
+
+// Teller payments bought for the payer's own number leave the recipient
+// empty, so their number may sit in a fallback field
+const tellerSource = (collectionName, label, phoneField, phoneFallback) => {
+  const phone = (row) => phoneOf(collectionName, row);
+  return {
+    collectionName,
+    label,
+    title: label,
+    noun: label.toLowerCase(),
+    pendingFilters: approvedNotExported,
+    orderBy: "createdAt",
+    amount: (row) => tellerAmount(row.amount),
+    counts: isApproved,
+    reconcile: "payment",
+    // Teller payments name their bundle in `desc`, as a service name. They
+    // may carry their size in `gb`; the old teller dashboard read it first.
+    bundle: {
+      keys: (row) => [
+        ["byName", row.desc],
+        ["byPrice", tellerAmount(row.amount)],
+      ],
+      stated: (row) => [row.gb, row.desc],
+    },
+    fields: {
+      phone: phoneField,
+      gb: "desc",
+      amount: "amount",
+      externalRef: "transaction_id",
+    },
+    phoneFallback,
+    card: [
+      { label: "Number", value: (row) => formatPhoneNumber(phone(row)) },
+      {
+        label: "Network",
+        value: (row) => detectNetwork(phone(row)) || "Unknown",
+      },
+      SIZE_LINE,
+      { label: "Created At", value: (row) => formatDate(row.createdAt) },
+    ],
+    // Teller exports keep the columns the old teller dashboard wrote
+    columns: {
+      baseFileName: label.replace(/\s+/g, ""),
+      headers: ["Number", "Data", "CreatedAt"],
+      totals: ["Data"],
+      toRow: (row, catalog) => ({
+        Number: formatPhoneNumber(phone(row)),
+        Data: mbToGb(bundleSizeMb(collectionName, row, catalog)),
+        CreatedAt: formatDate(row.createdAt),
+      }),
+    },
+    templateFields: {
+      phone,
+      network: (row) => detectNetwork(phone(row)),
+      gb: (row, catalog) => bundleSizeMb(collectionName, row, catalog),
+      amount: (row) =>
+        row.amount == null ? null : orderAmount(collectionName, row),
+      externalRef: (row) => row.transaction_id,
+      createdAt: (row) => row.createdAt,
+    },
+  };
+};
+
+export const SOURCE_LIST = [
+  {
+    collectionName: "entries",
+    label: "Numbers",
+    title: "New Numbers",
+    noun: "numbers",
+    pendingFilters: notExported,
+    orderBy: "createdAt",
+    channel: "Numbers",
+    fields: { phone: "phoneNumber", network: "networkProvider" },
+    card: [
+      { label: "Phone", value: (row) => formatPhoneNumber(row.phoneNumber) },
+      { label: "Network", value: (row) => row.networkProvider || "N/A" },
+    ],
+    columns: {
+      baseFileName: "Numbers",
+      headers: ["Phone Number", "Network Provider"],
+      totals: [],
+      toRow: (row) => ({
+        "Phone Number": formatPhoneNumber(row.phoneNumber),
+        "Network Provider": row.networkProvider || "N/A",
+      }),
+    },
+    templateFields: {
+      phone: (row) => row.phoneNumber,
+      network: (row) => row.networkProvider,
+      createdAt: (row) => row.createdAt,
+    },
+  },
+  {
+    collectionName: "webite_purchase",
+    label: "Website Transactions",
+    title: "Today's Transactions",
+    noun: "transactions",
+    pendingFilters: approvedNotExported,
+    orderBy: "createdAt",
+    amount: (row) => Number(row.amount),
+    channel: "Website",
+    counts: isApproved,
+    reconcile: "delivery",
+    bundle: {
+      keys: (row) => [
+        ["byName", row.serviceName],
+        ["byPrice", row.amount],
+      ],
+      stated: (row) => [row.serviceName],
+    },
+    fields: {
+      phone: "recipientNumber",
+      gb: "serviceName",
+      amount: "amount",
+      externalRef: "transactionId",
+    },
+    card: [
+      {
+        label: "Number",
+        value: (row) => formatPhoneNumber(row.recipientNumber),
+      },
+      {
+        label: "Network",
+        value: (row) => detectNetwork(row.recipientNumber) || "Unknown",
+      },
+      SIZE_LINE,
+    ],
+    columns: {
+      baseFileName: "Transactions",
+      headers: ["Number", "GB"],
+      totals: ["GB"],
+      toRow: (row, catalog) => ({
+        Number: formatPhoneNumber(row.recipientNumber),
+        GB: mbToGb(bundleSizeMb("webite_purchase", row, catalog)),
+      }),
+    },
+    templateFields: {
+      phone: (row) => row.recipientNumber,
+      network: (row) => detectNetwork(row.recipientNumber),
+      gb: (row, catalog) => bundleSizeMb("webite_purchase", row, catalog),
+      amount: (row) => row.amount,
+      externalRef: (row) => row.transactionId,
+      createdAt: (row) => row.createdAt,
+    },
+  },
+  {
+    collectionName: "delivery_queue",
+    label: "USSD Transactions",
+    title: "USSD Transactions (Ready for Export)",
+    noun: "USSD transactions",
+    pendingFilters: notExported,
+    orderBy: "createdAt",
+    sumField: "amount",
+    amount: (row) => Number(row.amount),
+    channel: "USSD",
+    reconcile: "delivery",
+    bundle: {
+      keys: (row) => [
+        ["byGig", row.gig],
+        ["byPrice", row.amount],
+      ],
+      stated: (row) => [row.gig],
+    },
+    fields: {
+      phone: "msisdn",
+      gb: "gig",
+      amount: "amount",
+      externalRef: "externalRef",
+    },
+    card: [
+      { label: "Number", value: (row) => formatPhoneNumber(row.msisdn) },
+      {
+        label: "Network",
+        value: (row) => detectNetwork(row.msisdn) || "Unknown",
+      },
+      SIZE_LINE,
+      {
+        label: "Amount",
+        value: (row) => (row.amount ? `GH₵${row.amount}` : "N/A"),
+      },
+      { label: "Ref", value: (row) => row.externalRef || null },
+    ],
+    columns: {
+      baseFileName: "UssdTransactions",
+      headers: ["Number", "GB", "Amount"],
+      totals: ["GB", "Amount"],
+      toRow: (row, catalog) => ({
+        Number: formatPhoneNumber(row.msisdn),
+        GB: mbToGb(bundleSizeMb("delivery_queue", row, catalog)),
+        Amount: row.amount || "N/A",
+      }),
+    },
+    templateFields: {
+      phone: (row) => row.msisdn,
+      network: (row) => detectNetwork(row.msisdn),
+      gb: (row, catalog) => bundleSizeMb("delivery_queue", row, catalog),
+      amount: (row) => row.amount,
+      externalRef: (row) => row.externalRef,
+      createdAt: (row) => row.createdAt,
+    },
+  },
+  tellerSource(
+    TELLER_TRANSACTIONS,
+    "Teller Transactions",
+    "recipient_number",
+    "subscriber_number"
+  ),
+  tellerSource(TELLER_CALLBACKS, "Teller Callbacks", "subscriber_number"),
+];
+
+export const SOURCES = Object.fromEntries(
+  SOURCE_LIST.map((source) => [source.collectionName, source])
+);
+
+export const SOURCE_LABELS = Object.fromEntries(
+  SOURCE_LIST.map((source) => [source.collectionName, source.label])
+);
+
+/** Each source's export layout, by collection. */
+export const EXPORT_COLUMNS = Object.fromEntries(
+  SOURCE_LIST.map((source) => [source.collectionName, source.columns])
+);
+
+/** The phone number a queue record is for, as stored. */
+export const phoneOf = (collectionName, row) => {
+  const { fields, phoneFallback } = SOURCES[collectionName];
+  return (
+    row[fields.phone] || (phoneFallback && row[phoneFallback]) || undefined
+  );
+};
+
+/**
+ * One of NETWORKS for a record: the network it declares, else the one its
+ * number belongs to. Null when neither is known.
+ */
+export const networkOf = (collectionName, row) => {
+  const { fields } = SOURCES[collectionName];
+  return (
+    (fields.network && normalizeNetwork(row[fields.network])) ||
+    detectNetwork(phoneOf(collectionName, row))
+  );
+};
+
+/** A record's amount in GH₵, NaN when it has none. */
+export const orderAmount = (collectionName, row) => {
+  const { amount } = SOURCES[collectionName];
+  return amount ? amount(row) : NaN;
+};
+
+/** Whether a source's records are orders for a data bundle. */
+export const hasBundles = (collectionName) => !!SOURCES[collectionName]?.bundle;
+
+/** The bundle a record is for, or null when the catalog does not know it. */
+export const resolveBundle = (collectionName, row, catalog) => {
+  const { bundle } = SOURCES[collectionName];
+  return bundle ? findBundle(catalog, bundle.keys(row)) : null;
+};
+
+/** Size in MB the record states, for bundles the catalog does not know. */
+export const statedSizeMb = (collectionName, row) => {
+  const { bundle } = SOURCES[collectionName];
+  return bundle ? statedMb(bundle.stated(row)) : null;
+};
+
+/** Size in MB from the catalog, else as stated; null when neither knows. */
+export const bundleSizeMb = (collectionName, row, catalog) =>
+  resolveBundle(collectionName, row, catalog)?.sizeMb ??
+  statedSizeMb(collectionName, row);
+
+/**
+ * `[{ collection, serviceName, gig, amount, count }]` for the records, given
+ * as `{ collection, data }`, whose bundle is not in the catalog; most common
+ * first.
+ */
+export const unknownBundles = (records, catalog) => {
+  const seen = new Map();
+  records.forEach(({ collection: name, data }) => {
+    if (!hasBundles(name) || resolveBundle(name, data, catalog)) return;
+    const identity = bundleIdentity(SOURCES[name].bundle.keys(data));
+    const key = `${name}|${JSON.stringify(identity)}`;
+    if (!seen.has(key)) {
+      seen.set(key, {
+        collection: name,
+        ...identity,
+        amount: data.amount,
+        count: 0,
+      });
+    }
+    seen.get(key).count += 1;
+  });
+  return [...seen.values()].sort((a, b) => b.count - a.count);
+};
+
+/** What a source's exports can be split by: network, and size for orders. */
+export const splitKeysOf = (collectionName) =>
+  hasBundles(collectionName)
+    ? [SPLIT_KEYS.NETWORK, SPLIT_KEYS.GB, SPLIT_KEYS.BOTH]
+    : [SPLIT_KEYS.NETWORK];
+
+/** `{ network, size }` a record is filed under when its export is split. */
+export const exportGroupOf = (collectionName, row, catalog) => {
+  const mb = bundleSizeMb(collectionName, row, catalog);
+  return {
+    network: networkOf(collectionName, row),
+    size: mb == null ? null : formatSize(mb),
+  };
+};
@@ -0,0 +1,116 @@
+import {
+  SOURCE_LIST,
+  bundleSizeMb,
+  hasBundles,
+  orderAmount,
+  resolveBundle,
+  statedSizeMb,
+  unknownBundles,
+} from "./sources";
+import { buildCatalog } from "./bundleCatalog";
+import { ANALYTICS_CHANNELS } from "./analytics";
+import { TELLER_CALLBACKS, TELLER_TRANSACTIONS } from "./teller";
+
+const TWO_GB = {
+  name: "2GB",
+  sizeMb: 2048,
+  serviceNames: ["MTN 2GB"],
+  gigValues: ["2"],
+  prices: [10],
+};
+
+const catalog = buildCatalog([TWO_GB]);
+
+test("only orders have bundles", () => {
+  expect(SOURCE_LIST.filter((s) => hasBundles(s.collectionName)).length).toBe(
+    4
+  );
+  expect(hasBundles("entries")).toBe(false);
+  expect(bundleSizeMb("entries", { phoneNumber: "0241234567" }, catalog)).toBe(
+    null
+  );
+});
+
+test("amounts are read the way each source stores them", () => {
+  expect(orderAmount(TELLER_TRANSACTIONS, { amount: "000000002500" })).toBe(25);
+  expect(orderAmount(TELLER_CALLBACKS, { amount: 12.5 })).toBe(12.5);
+  expect(orderAmount("delivery_queue", { amount: "10" })).toBe(10);
+  expect(orderAmount("webite_purchase", {})).toBeNaN();
+  expect(orderAmount("entries", { amount: 5 })).toBeNaN();
+});
+
+describe("resolveBundle", () => {
+  test("finds the bundle by each source's own keys", () => {
+    expect(
+      resolveBundle("webite_purchase", { serviceName: " mtn  2gb " }, catalog)
+    ).toBe(TWO_GB);
+    expect(resolveBundle("delivery_queue", { gig: 2 }, catalog)).toBe(TWO_GB);
+    expect(resolveBundle(TELLER_CALLBACKS, { desc: "MTN 2GB" }, catalog)).toBe(
+      TWO_GB
+    );
+  });
+
+  test("falls back to the price, read in pesewas on teller payments", () => {
+    expect(
+      resolveBundle(
+        "webite_purchase",
+        { serviceName: "Unknown", amount: "10" },
+        catalog
+      )
+    ).toBe(TWO_GB);
+    expect(
+      resolveBundle(TELLER_TRANSACTIONS, { amount: "000000001000" }, catalog)
+    ).toBe(TWO_GB);
+  });
+});
+
+describe("statedSizeMb", () => {
+  test("reads the size the record states when the catalog does not know it", () => {
+    expect(statedSizeMb("webite_purchase", { serviceName: "AT 1.5GB" })).toBe(
+      1536
+    );
+    expect(statedSizeMb("delivery_queue", { gig: "5" })).toBe(5120);
+    expect(bundleSizeMb("delivery_queue", { gig: "500MB" }, catalog)).toBe(500);
+  });
+
+  test("teller payments state their size in gb, else in desc", () => {
+    expect(statedSizeMb(TELLER_TRANSACTIONS, { gb: "3", desc: "5GB" })).toBe(
+      3072
+    );
+    expect(statedSizeMb(TELLER_TRANSACTIONS, { desc: "5GB bundle" })).toBe(
+      5120
+    );
+    expect(statedSizeMb(TELLER_TRANSACTIONS, { desc: "Data" })).toBeNull();
+  });
+});
+
+test("unknown bundles are listed by the key the catalog would need", () => {
+  expect(
+    unknownBundles(
+      [
+        { collection: "delivery_queue", data: { gig: "7", amount: 30 } },
+        { collection: "delivery_queue", data: { gig: "7", amount: 30 } },
+        { collection: TELLER_CALLBACKS, data: { desc: "MTN 9GB" } },
+        { collection: "webite_purchase", data: { serviceName: "MTN 2GB" } },
+        { collection: "entries", data: { phoneNumber: "0241234567" } },
+      ],
+      catalog
+    )
+  ).toEqual([
+    { collection: "delivery_queue", gig: "7", amount: 30, count: 2 },
+    {
+      collection: TELLER_CALLBACKS,
+      serviceName: "MTN 9GB",
+      amount: undefined,
+      count: 1,
+    },
+  ]);
+});
+
+test("analytics leaves out teller payments, which pay for website and USSD orders", () => {
+  expect(ANALYTICS_CHANNELS.map((c) => c.label)).toEqual([
+    "Numbers",
+    "Website",
+    "USSD",
+  ]);
+});
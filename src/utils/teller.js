@@ -0,0 +1,14 @@
+// utils/teller.js
+// The teller payment gateway's collections. Approved teller payments are
+// orders in their own right, exported like the other queues, and the same
+// payments are what reconciliation matches deliveries against.
+
+export const TELLER_TRANSACTIONS = "data_approve_teller_transaction";
+export const TELLER_CALLBACKS = "teller-response-calls";
+
+// The gateway reports amounts as 12-digit pesewa strings
+// ("000000002500" is GH₵25.00); everything else stores cedis
+export const tellerAmount = (value) =>
+  typeof value === "string" && /^\d{12}$/.test(value)
+    ? Number(value) / 100
+    : Number(value);